@@ -0,0 +1,155 @@
+import { useRef, useState } from "react";
+import { MAX_BATCH_SIZE, parseBatchInput } from "../lib/batch";
+import { analysisErrorFromResponse, describeError } from "../lib/errors";
+import { linkButtonStyle } from "./styles";
+
+// Analyze many descriptions at once, pasted one per line or loaded from a
+// .txt or .csv file (see parseBatchInput). `onRun(texts, { force })` runs the
+// batch with the page's provider (`force` skips cached answers) and adds each result to the catalog as it arrives, and
+// `onStop()` stops it; the page keeps the run going while this is closed and
+// passes its state back as `progress` ({ running, total, succeeded, failures,
+// stopped, error }). This component only shows progress and failures.
+export default function BatchAnalysis({ progress, onRun, onStop }) {
+  const fileInputRef = useRef(null);
+  // Reopening the catalog during a run shows it straight away
+  const [isOpen, setIsOpen] = useState(Boolean(progress?.running));
+  const [source, setSource] = useState("");
+  const [force, setForce] = useState(false);
+  // Problems reading a file; run errors come with `progress`
+  const [fileError, setFileError] = useState(null);
+
+  const texts = parseBatchInput(source);
+  const isRunning = Boolean(progress?.running);
+  const tooMany = texts.length > MAX_BATCH_SIZE;
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    // Allow picking the same file again after cancelling
+    e.target.value = "";
+    if (!file) return;
+    try {
+      setSource(parseBatchInput(await file.text()).join("\n"));
+      setFileError(null);
+    } catch (err) {
+      console.error("Reading batch file failed:", err);
+      setFileError(`Could not read ${file.name}: ${err.message}`);
+    }
+  };
+
+  const handleRun = () => {
+    setFileError(null);
+    onRun(texts, { force });
+  };
+
+  const error = fileError || progress?.error;
+  const finished = progress ? progress.succeeded + progress.failures.length : 0;
+
+  return (
+    <div style={{ marginBottom: "16px", fontSize: "10px", color: "#999" }}>
+      <button
+        type="button"
+        onClick={() => setIsOpen(!isOpen)}
+        aria-expanded={isOpen}
+        style={linkButtonStyle}
+      >
+        Batch analyze {isOpen ? "−" : "+"}
+      </button>
+
+      {isOpen && (
+        <div style={{ marginTop: "8px" }}>
+          <textarea
+            value={source}
+            onChange={(e) => setSource(e.target.value)}
+            disabled={isRunning}
+            placeholder="One description per line"
+            aria-label="Descriptions to analyze, one per line"
+            rows={5}
+            style={{
+              width: "100%",
+              padding: "8px",
+              border: "1px solid #e0e0e0",
+              fontFamily: "'Poppins', sans-serif",
+              fontSize: "11px",
+              fontWeight: 300,
+              color: "#333",
+              resize: "vertical"
+            }}
+          />
+
+          <div style={{ display: "flex", gap: "12px", alignItems: "center", marginTop: "4px" }}>
+            <span style={{ color: tooMany ? "#b00020" : "#999" }}>
+              {texts.length} {texts.length === 1 ? "description" : "descriptions"}
+              {tooMany && ` (at most ${MAX_BATCH_SIZE})`}
+            </span>
+            <span style={{ marginLeft: "auto" }} />
+            <button
+              type="button"
+              onClick={() => fileInputRef.current?.click()}
+              disabled={isRunning}
+              style={{ ...linkButtonStyle, color: isRunning ? "#ccc" : "#000" }}
+            >
+              File
+            </button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".txt,.csv"
+              onChange={handleFileChange}
+              style={{ display: "none" }}
+            />
+            {isRunning ? (
+              <button type="button" onClick={onStop} style={linkButtonStyle}>
+                Stop
+              </button>
+            ) : (
+              <button
+                type="button"
+                onClick={handleRun}
+                disabled={texts.length === 0 || tooMany}
+                style={{ ...linkButtonStyle, color: texts.length === 0 || tooMany ? "#ccc" : "#000" }}
+              >
+                Run
+              </button>
+            )}
+          </div>
+
+          <label style={{ display: "flex", gap: "6px", alignItems: "center", marginTop: "4px" }}>
+            <input
+              type="checkbox"
+              checked={force}
+              onChange={(e) => setForce(e.target.checked)}
+              disabled={isRunning}
+            />
+            Re-analyze cached descriptions
+          </label>
+
+          {progress && (
+            <p role="status" style={{ marginTop: "8px", color: "#333", lineHeight: "1.6" }}>
+              {isRunning
+                ? `${finished} of ${progress.total} done`
+                : `${progress.stopped ? "Stopped" : "Done"}: ${progress.succeeded} added to the catalog`}
+              {progress.failures.length > 0 && ` • ${progress.failures.length} failed`}
+            </p>
+          )}
+
+          {error && (
+            <p role="alert" style={{ marginTop: "8px", color: "#b00020", lineHeight: "1.6" }}>
+              {error}
+            </p>
+          )}
+
+          {progress?.failures.length > 0 && (
+            <ul style={{ listStyle: "none", maxHeight: "120px", overflowY: "auto", marginTop: "4px" }}>
+              {progress.failures.map(({ index, text, error: itemError }) => (
+                <li key={index} style={{ padding: "2px 0", color: "#b00020", lineHeight: "1.4" }}>
+                  {index + 1}. {text.length > 60 ? `${text.slice(0, 60)}…` : text}: {describeError(analysisErrorFromResponse(itemError))}
+                  {itemError.details && typeof itemError.details === "string" && ` (${itemError.details})`}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
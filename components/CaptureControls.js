@@ -0,0 +1,147 @@
+import { useState } from "react";
+import { CAPTURE_LIMITS, LOOP_FORMATS, captureLoop, captureStill } from "../lib/fabric/capture";
+import { downloadBlob, timestampedName } from "../lib/download";
+import { choiceStyle, linkButtonStyle } from "./styles";
+
+const rowStyle = { display: "flex", gap: "12px", alignItems: "center", flexWrap: "wrap", marginTop: "6px" };
+
+const labelStyle = { letterSpacing: "1px", textTransform: "uppercase" };
+
+function NumberInput({ value, onChange, min, max, step = 1, label, width = "44px" }) {
+  return (
+    <input
+      type="number"
+      value={Number.isNaN(value) ? "" : value}
+      min={min}
+      max={max}
+      step={step}
+      aria-label={label}
+      title={`${label}, ${min} to ${max}`}
+      onChange={(e) => onChange(e.target.valueAsNumber)}
+      style={{
+        width,
+        padding: "0 0 1px",
+        border: "none",
+        borderBottom: "1px solid #e0e0e0",
+        background: "transparent",
+        fontFamily: "'Poppins', sans-serif",
+        fontSize: "11px",
+        fontWeight: 300,
+        color: "#000",
+        outline: "none",
+        fontVariantNumeric: "tabular-nums"
+      }}
+    />
+  );
+}
+
+// Offscreen captures of the main visualizer, read through its `apiRef`: a
+// PNG at any size (transparent by default) and a turntable or breathing loop
+// as WebM or GIF.
+export default function CaptureControls({ apiRef }) {
+  const [stillSize, setStillSize] = useState({ width: 3840, height: 2160 });
+  const [transparent, setTransparent] = useState(true);
+  const [loopSize, setLoopSize] = useState({ width: 1280, height: 720 });
+  const [duration, setDuration] = useState(4);
+  const [fps, setFps] = useState(24);
+  const [motion, setMotion] = useState("turntable");
+  const [busy, setBusy] = useState(null);
+  const [progress, setProgress] = useState(0);
+  const [captureError, setCaptureError] = useState(null);
+
+  const run = async (task, label, extension) => {
+    const view = apiRef.current;
+    if (!view || busy) return;
+
+    setBusy(label);
+    setProgress(0);
+    setCaptureError(null);
+    try {
+      downloadBlob(await task(view), timestampedName("fabric", extension));
+    } catch (err) {
+      console.error("Fabric capture failed:", err);
+      setCaptureError(`Could not capture ${label}: ${err.message}`);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleStill = () => run((view) => captureStill(view, { ...stillSize, transparent }), "PNG", "png");
+
+  const handleLoop = (format) => {
+    const { label, extension } = LOOP_FORMATS[format];
+    run((view) => captureLoop(view, format, { ...loopSize, duration, fps, motion, onProgress: setProgress }), label, extension);
+  };
+
+  const sizeInputs = (size, setSize) => (
+    <span>
+      <NumberInput
+        label="Width in pixels"
+        value={size.width}
+        onChange={(width) => setSize({ ...size, width })}
+        {...CAPTURE_LIMITS.size}
+      />
+      {" × "}
+      <NumberInput
+        label="Height in pixels"
+        value={size.height}
+        onChange={(height) => setSize({ ...size, height })}
+        {...CAPTURE_LIMITS.size}
+      />
+    </span>
+  );
+
+  const actionStyle = { ...linkButtonStyle, color: busy ? "#ccc" : "#000" };
+
+  return (
+    <div style={{ marginTop: "8px", fontSize: "10px", color: "#999" }}>
+      <div style={rowStyle}>
+        <span style={labelStyle}>Image</span>
+        {sizeInputs(stillSize, setStillSize)}
+        <label style={{ ...labelStyle, display: "flex", gap: "6px", alignItems: "center" }}>
+          <input type="checkbox" checked={transparent} onChange={(e) => setTransparent(e.target.checked)} />
+          Transparent
+        </label>
+        <button type="button" onClick={handleStill} disabled={Boolean(busy)} style={actionStyle}>
+          {busy === "PNG" ? "PNG…" : "PNG"}
+        </button>
+      </div>
+
+      <div style={rowStyle}>
+        <span style={labelStyle}>Loop</span>
+        {sizeInputs(loopSize, setLoopSize)}
+        <span>
+          <NumberInput label="Duration in seconds" value={duration} onChange={setDuration} step={0.5} width="32px" {...CAPTURE_LIMITS.duration} /> s
+        </span>
+        <span>
+          <NumberInput label="Frames per second" value={fps} onChange={setFps} width="28px" {...CAPTURE_LIMITS.fps} /> fps
+        </span>
+      </div>
+
+      <div style={rowStyle}>
+        {[["turntable", "Turntable"], ["breathing", "Breathing"]].map(([value, label]) => (
+          <button
+            key={value}
+            type="button"
+            onClick={() => setMotion(value)}
+            aria-pressed={motion === value}
+            style={{ ...linkButtonStyle, ...choiceStyle(motion === value) }}
+          >
+            {label}
+          </button>
+        ))}
+        {Object.entries(LOOP_FORMATS).map(([format, { label }]) => (
+          <button key={format} type="button" onClick={() => handleLoop(format)} disabled={Boolean(busy)} style={actionStyle}>
+            {busy === label ? `${label} ${Math.round(progress * 100)}%` : label}
+          </button>
+        ))}
+      </div>
+
+      {captureError && (
+        <p role="alert" style={{ marginTop: "8px", color: "#b00020", lineHeight: "1.6" }}>
+          {captureError}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,154 @@
+import { useState } from "react";
+import { GARMENT_PARAMETERS } from "../lib/garment-schema";
+import { SORT_OPTIONS, createDefaultQuery, isDefaultQuery } from "../lib/catalog/query";
+import { choiceStyle, linkButtonStyle } from "./styles";
+
+const controlStyle = {
+  fontFamily: "'Poppins', sans-serif",
+  fontSize: "11px",
+  fontWeight: 300,
+  color: "#000",
+  background: "transparent",
+  border: "none",
+  borderBottom: "1px solid #e0e0e0",
+  outline: "none",
+  padding: "4px 0"
+};
+
+// Search, sort, dominant-parameter and per-parameter range controls for the
+// catalog panel. `query` has the shape of createDefaultQuery().
+export default function CatalogFilters({ query, onChange, view, onViewChange, matchCount, totalCount }) {
+  const [showRanges, setShowRanges] = useState(false);
+
+  const update = (patch) => onChange({ ...query, ...patch });
+
+  const updateRange = (key, index, value) => {
+    const range = [...query.ranges[key]];
+    range[index] = value;
+    // Keep min ≤ max by pushing the other handle along
+    if (index === 0 && range[0] > range[1]) range[1] = range[0];
+    if (index === 1 && range[1] < range[0]) range[0] = range[1];
+    update({ ranges: { ...query.ranges, [key]: range } });
+  };
+
+  const isParameterSort = query.sort !== "newest" && query.sort !== "oldest";
+
+  return (
+    <div style={{ marginBottom: "16px", fontSize: "10px", color: "#999" }}>
+      <input
+        type="search"
+        value={query.search}
+        onChange={(e) => update({ search: e.target.value })}
+        placeholder="Search descriptions..."
+        aria-label="Search descriptions"
+        style={{ ...controlStyle, width: "100%", marginBottom: "8px" }}
+      />
+
+      <div style={{ display: "flex", gap: "8px", alignItems: "center", flexWrap: "wrap" }}>
+        <label style={{ display: "flex", gap: "4px", alignItems: "center" }}>
+          Sort
+          <select
+            value={query.sort}
+            onChange={(e) => update({ sort: e.target.value })}
+            style={controlStyle}
+          >
+            {SORT_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </label>
+        {isParameterSort && (
+          <button
+            type="button"
+            onClick={() => update({ descending: !query.descending })}
+            aria-label={query.descending ? "Sort high to low" : "Sort low to high"}
+            style={{ ...linkButtonStyle, color: "#000" }}
+          >
+            {query.descending ? "High → Low" : "Low → High"}
+          </button>
+        )}
+        <label style={{ display: "flex", gap: "4px", alignItems: "center" }}>
+          Dominant
+          <select
+            value={query.dominant}
+            onChange={(e) => update({ dominant: e.target.value })}
+            style={controlStyle}
+          >
+            <option value="any">Any</option>
+            {GARMENT_PARAMETERS.map((param) => (
+              <option key={param.key} value={param.key}>{param.key}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <div style={{ display: "flex", gap: "12px", alignItems: "center", marginTop: "8px" }}>
+        <button
+          type="button"
+          onClick={() => setShowRanges(!showRanges)}
+          aria-expanded={showRanges}
+          style={{ ...linkButtonStyle, color: "#000" }}
+        >
+          Ranges {showRanges ? "−" : "+"}
+        </button>
+        {!isDefaultQuery(query) && (
+          <button
+            type="button"
+            onClick={() => onChange({ ...createDefaultQuery(), sort: query.sort, descending: query.descending })}
+            style={{ ...linkButtonStyle, color: "#999" }}
+          >
+            Clear
+          </button>
+        )}
+        <span>{matchCount} of {totalCount}</span>
+        <span style={{ marginLeft: "auto", display: "flex", gap: "8px" }}>
+          {["list", "grid"].map((mode) => (
+            <button
+              key={mode}
+              type="button"
+              onClick={() => onViewChange(mode)}
+              aria-pressed={view === mode}
+              style={{ ...linkButtonStyle, ...choiceStyle(view === mode) }}
+            >
+              {mode}
+            </button>
+          ))}
+        </span>
+      </div>
+
+      {showRanges && (
+        <div style={{ marginTop: "8px" }}>
+          {GARMENT_PARAMETERS.map((param) => {
+            const [min, max] = query.ranges[param.key];
+            return (
+              <div key={param.key} style={{ display: "flex", alignItems: "center", gap: "6px", marginBottom: "4px" }}>
+                <span style={{ width: "70px", letterSpacing: "1px", color: "#000" }}>{param.label}</span>
+                <input
+                  type="range"
+                  min={0}
+                  max={1}
+                  step={0.05}
+                  value={min}
+                  onChange={(e) => updateRange(param.key, 0, parseFloat(e.target.value))}
+                  aria-label={`${param.key} minimum`}
+                  style={{ flex: 1, minWidth: 0 }}
+                />
+                <input
+                  type="range"
+                  min={0}
+                  max={1}
+                  step={0.05}
+                  value={max}
+                  onChange={(e) => updateRange(param.key, 1, parseFloat(e.target.value))}
+                  aria-label={`${param.key} maximum`}
+                  style={{ flex: 1, minWidth: 0 }}
+                />
+                <span style={{ width: "56px", textAlign: "right" }}>{min.toFixed(2)}–{max.toFixed(2)}</span>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
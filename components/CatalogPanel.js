@@ -0,0 +1,229 @@
+import { useMemo, useState } from "react";
+import { GARMENT_PARAMETERS } from "../lib/garment-schema";
+import { effectiveParameters, entrySeed } from "../lib/catalog/entry";
+import { createDefaultQuery, queryEntries } from "../lib/catalog/query";
+import BatchAnalysis from "./BatchAnalysis";
+import CatalogFilters from "./CatalogFilters";
+import CatalogTransfer from "./CatalogTransfer";
+import FabricThumbnail from "./FabricThumbnail";
+import { choiceStyle, linkButtonStyle } from "./styles";
+
+const formatDate = (isoString) => {
+  const date = new Date(isoString);
+  return date.toLocaleString(undefined, {
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+};
+
+// Compare and Remove under each entry, in lower case beside its text
+const entryActionStyle = { ...linkButtonStyle, letterSpacing: "normal", textTransform: "none" };
+
+export default function CatalogPanel({
+  entries,
+  selectedId,
+  compareId,
+  mappingProfile,
+  onSelect,
+  onCompare,
+  onRemove,
+  onImport,
+  batchRun,
+  onBatch,
+  onBatchStop,
+}) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [query, setQuery] = useState(createDefaultQuery);
+  const [view, setView] = useState("list");
+
+  const visibleEntries = useMemo(() => queryEntries(entries, query), [entries, query]);
+
+  return (
+    <div style={{
+      position: "absolute",
+      top: 0,
+      right: 0,
+      width: "320px",
+      maxHeight: "100%",
+      display: "flex",
+      flexDirection: "column",
+      padding: "40px",
+      zIndex: 20,
+      fontFamily: "'Poppins', sans-serif",
+      fontWeight: 300
+    }}>
+      <button
+        type="button"
+        onClick={() => setIsOpen(!isOpen)}
+        aria-expanded={isOpen}
+        style={{ ...linkButtonStyle, alignSelf: "flex-end", fontSize: "11px" }}
+      >
+        Catalog <span style={{ color: "#999" }}>{entries.length}</span> {isOpen ? "−" : "+"}
+      </button>
+
+      {isOpen && (
+        <div style={{
+          marginTop: "20px",
+          overflowY: "auto",
+          background: "rgba(255, 255, 255, 0.9)"
+        }}>
+          <CatalogTransfer entries={entries} onImport={onImport} />
+          <BatchAnalysis progress={batchRun} onRun={onBatch} onStop={onBatchStop} />
+          {entries.length === 0 ? (
+            <p style={{ fontSize: "11px", color: "#999" }}>
+              Analyzed entries will be kept here.
+            </p>
+          ) : (
+            <>
+              <CatalogFilters
+                query={query}
+                onChange={setQuery}
+                view={view}
+                onViewChange={setView}
+                matchCount={visibleEntries.length}
+                totalCount={entries.length}
+              />
+              {visibleEntries.length === 0 ? (
+                <p style={{ fontSize: "11px", color: "#999" }}>
+                  No entries match these filters.
+                </p>
+              ) : view === "grid" ? (
+                <ul style={{
+                  listStyle: "none",
+                  display: "grid",
+                  gridTemplateColumns: "repeat(3, 1fr)",
+                  gap: "8px"
+                }}>
+                  {visibleEntries.map((entry) => {
+                    const isSelected = entry.id === selectedId;
+                    return (
+                      <li key={entry.id}>
+                        <button
+                          type="button"
+                          onClick={() => onSelect(entry)}
+                          aria-current={isSelected ? "true" : undefined}
+                          title={entry.text}
+                          style={{
+                            display: "block",
+                            width: "100%",
+                            padding: "2px",
+                            border: isSelected ? "1px solid #000" : "1px solid transparent",
+                            background: "transparent",
+                            cursor: "pointer"
+                          }}
+                        >
+                          <FabricThumbnail
+                            parameters={effectiveParameters(entry)}
+                            mappingProfile={mappingProfile}
+                            seed={entrySeed(entry)}
+                            label={entry.text}
+                          />
+                        </button>
+                      </li>
+                    );
+                  })}
+                </ul>
+              ) : (
+                <ul style={{ listStyle: "none" }}>
+                  {visibleEntries.map((entry) => {
+                    const isSelected = entry.id === selectedId;
+                    return (
+                      <li
+                        key={entry.id}
+                        style={{
+                          padding: "12px 0",
+                          borderBottom: "1px solid #e0e0e0"
+                        }}
+                      >
+                        <button
+                          type="button"
+                          onClick={() => onSelect(entry)}
+                          aria-current={isSelected ? "true" : undefined}
+                          style={{
+                            display: "block",
+                            width: "100%",
+                            padding: 0,
+                            border: "none",
+                            background: "transparent",
+                            textAlign: "left",
+                            fontFamily: "'Poppins', sans-serif",
+                            fontWeight: 300,
+                            cursor: "pointer"
+                          }}
+                        >
+                          <span style={{
+                            display: "block",
+                            fontSize: "12px",
+                            lineHeight: "1.5",
+                            color: isSelected ? "#000" : "#333",
+                            textDecoration: isSelected ? "underline" : "none",
+                            overflow: "hidden",
+                            textOverflow: "ellipsis",
+                            whiteSpace: "nowrap"
+                          }}>
+                            {entry.text}
+                          </span>
+                          {/* Compact parameter bars */}
+                          <span style={{ display: "flex", gap: "4px", marginTop: "6px" }}>
+                            {GARMENT_PARAMETERS.map((param) => (
+                              <span
+                                key={param.key}
+                                title={`${param.key} ${effectiveParameters(entry)[param.key].toFixed(2)}${entry.overrides?.[param.key] !== undefined ? " (edited)" : ""}`}
+                                style={{ flex: 1, height: "2px", background: "#e0e0e0", position: "relative" }}
+                              >
+                                <span style={{
+                                  position: "absolute",
+                                  left: 0,
+                                  top: 0,
+                                  bottom: 0,
+                                  width: `${effectiveParameters(entry)[param.key] * 100}%`,
+                                  background: "#000"
+                                }} />
+                              </span>
+                            ))}
+                          </span>
+                        </button>
+                        <div style={{
+                          display: "flex",
+                          justifyContent: "space-between",
+                          marginTop: "6px",
+                          fontSize: "10px",
+                          color: "#999",
+                          letterSpacing: "0.5px"
+                        }}>
+                          <span>{formatDate(entry.createdAt)} • {entry.provider}</span>
+                          <span style={{ flex: 1 }} />
+                          {!isSelected && selectedId && (
+                            <button
+                              type="button"
+                              onClick={() => onCompare(entry.id === compareId ? null : entry)}
+                              aria-pressed={entry.id === compareId}
+                              aria-label={`Compare with "${entry.text}"`}
+                              style={{ ...entryActionStyle, ...choiceStyle(entry.id === compareId), marginRight: "12px" }}
+                            >
+                              Compare
+                            </button>
+                          )}
+                          <button
+                            type="button"
+                            onClick={() => onRemove(entry.id)}
+                            aria-label={`Remove "${entry.text}"`}
+                            style={{ ...entryActionStyle, color: "#999" }}
+                          >
+                            Remove
+                          </button>
+                        </div>
+                      </li>
+                    );
+                  })}
+                </ul>
+              )}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,152 @@
+import { useRef, useState } from "react";
+import { CATALOG_FORMATS, detectFormat, exportCatalog, parseCatalog, planImport } from "../lib/catalog/formats";
+import { downloadText, timestampedName } from "../lib/download";
+import { linkButtonStyle } from "./styles";
+
+// Import/export controls for the catalog panel. Imports are parsed and
+// validated up front, then shown as a preview until the user confirms.
+export default function CatalogTransfer({ entries, onImport }) {
+  const fileInputRef = useRef(null);
+  const [importPlan, setImportPlan] = useState(null);
+  const [importError, setImportError] = useState(null);
+  const [includeDuplicates, setIncludeDuplicates] = useState(false);
+
+  const handleExport = (format) => {
+    const { extension, mimeType } = CATALOG_FORMATS[format];
+    downloadText(exportCatalog(entries, format), timestampedName("catalog", extension), mimeType);
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    // Allow picking the same file again after cancelling
+    e.target.value = "";
+    if (!file) return;
+
+    setImportError(null);
+    try {
+      const text = await file.text();
+      const format = detectFormat(file.name, text);
+      const { entries: parsed, invalid } = parseCatalog(text, format);
+      setImportPlan({
+        fileName: file.name,
+        format,
+        rows: planImport(parsed, entries),
+        invalid,
+      });
+      setIncludeDuplicates(false);
+    } catch (err) {
+      console.error("Catalog import failed:", err);
+      setImportPlan(null);
+      setImportError(`Could not read ${file.name}: ${err.message}`);
+    }
+  };
+
+  const selectedRows = importPlan
+    ? importPlan.rows.filter((row) => row.status === "new" || includeDuplicates)
+    : [];
+  const duplicateCount = importPlan
+    ? importPlan.rows.filter((row) => row.status === "duplicate").length
+    : 0;
+
+  const handleConfirm = () => {
+    onImport(selectedRows.map((row) => row.entry));
+    setImportPlan(null);
+  };
+
+  return (
+    <div style={{ marginBottom: "16px", fontSize: "10px", color: "#999" }}>
+      <div style={{ display: "flex", gap: "12px", alignItems: "center", flexWrap: "wrap" }}>
+        <span style={{ letterSpacing: "1px", textTransform: "uppercase" }}>Export</span>
+        {Object.keys(CATALOG_FORMATS).map((format) => (
+          <button
+            key={format}
+            type="button"
+            onClick={() => handleExport(format)}
+            disabled={entries.length === 0}
+            style={{ ...linkButtonStyle, color: entries.length === 0 ? "#ccc" : "#000" }}
+          >
+            {format}
+          </button>
+        ))}
+        <span style={{ marginLeft: "auto" }} />
+        <button type="button" onClick={() => fileInputRef.current?.click()} style={linkButtonStyle}>
+          Import
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".json,.jsonl,.ndjson,.csv,.txt"
+          onChange={handleFileChange}
+          style={{ display: "none" }}
+        />
+      </div>
+
+      {importError && (
+        <p role="alert" style={{ marginTop: "8px", color: "#b00020", lineHeight: "1.6" }}>
+          {importError}
+        </p>
+      )}
+
+      {/* Import preview */}
+      {importPlan && (
+        <div style={{ marginTop: "12px", padding: "12px", border: "1px solid #e0e0e0", color: "#333" }}>
+          <p style={{ fontSize: "11px", marginBottom: "8px" }}>
+            {importPlan.fileName} ({importPlan.format.toUpperCase()}):{" "}
+            {importPlan.rows.length - duplicateCount} new • {duplicateCount} duplicate • {importPlan.invalid.length} invalid
+          </p>
+
+          <ul style={{ listStyle: "none", maxHeight: "160px", overflowY: "auto", marginBottom: "8px" }}>
+            {importPlan.rows.map(({ entry, status }, index) => (
+              <li
+                key={`${index}-${entry.id}`}
+                style={{
+                  display: "flex",
+                  gap: "8px",
+                  padding: "2px 0",
+                  color: status === "duplicate" && !includeDuplicates ? "#bbb" : "#333"
+                }}
+              >
+                <span style={{ width: "60px", flexShrink: 0, textTransform: "uppercase", letterSpacing: "0.5px" }}>
+                  {status}
+                </span>
+                <span style={{ overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>
+                  {entry.text}
+                </span>
+              </li>
+            ))}
+            {importPlan.invalid.map(({ row, errors }) => (
+              <li key={`invalid-${row}`} style={{ padding: "2px 0", color: "#b00020" }}>
+                Row {row}: {errors.join(" ")}
+              </li>
+            ))}
+          </ul>
+
+          {duplicateCount > 0 && (
+            <label style={{ display: "flex", gap: "6px", alignItems: "center", marginBottom: "8px" }}>
+              <input
+                type="checkbox"
+                checked={includeDuplicates}
+                onChange={(e) => setIncludeDuplicates(e.target.checked)}
+              />
+              Import duplicates too
+            </label>
+          )}
+
+          <div style={{ display: "flex", gap: "16px" }}>
+            <button
+              type="button"
+              onClick={handleConfirm}
+              disabled={selectedRows.length === 0}
+              style={{ ...linkButtonStyle, color: selectedRows.length === 0 ? "#ccc" : "#000" }}
+            >
+              Import {selectedRows.length}
+            </button>
+            <button type="button" onClick={() => setImportPlan(null)} style={{ ...linkButtonStyle, color: "#999" }}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,204 @@
+import { useRef, useState } from "react";
+import dynamic from "next/dynamic";
+import { COMPARE_MODES, COMPARE_TINTS, diffParameters, formatDelta } from "../lib/compare";
+import { effectiveParameters, entrySeed } from "../lib/catalog/entry";
+import { createView } from "../lib/fabric/camera";
+import { interpolateParameters } from "../lib/fabric/morph";
+import { choiceStyle, linkButtonStyle } from "./styles";
+
+const FabricVisualizer = dynamic(() => import("./FabricVisualizer"), {
+  ssr: false,
+  loading: () => <div style={{ color: "#ccc", fontSize: "14px", fontWeight: 300 }}>Loading visualization...</div>
+});
+
+const Swatch = ({ color }) => (
+  <span style={{
+    display: "inline-block",
+    width: "8px",
+    height: "8px",
+    marginRight: "6px",
+    background: color,
+    borderRadius: "1px"
+  }} />
+);
+
+// Label next to the divider so it stays clear of the side panels
+const Caption = ({ label, entry, color, side }) => (
+  <p style={{
+    position: "absolute",
+    bottom: "40px",
+    [side]: "16px",
+    maxWidth: "60%",
+    fontSize: "11px",
+    color: "#333",
+    letterSpacing: "0.5px",
+    textAlign: side,
+    overflow: "hidden",
+    textOverflow: "ellipsis",
+    whiteSpace: "nowrap",
+    pointerEvents: "none"
+  }}>
+    <Swatch color={color} />
+    {label} • {entry.text}
+  </p>
+);
+
+// Two catalog entries side by side (split), in one scene (overlay) or
+// blended along a scrubber (blend), with a table of parameter deltas. Both
+// canvases share one view, so dragging or zooming either moves both.
+export default function CompareView({ entryA, entryB, mappingProfile, onSwap, onExit }) {
+  const [mode, setMode] = useState("split");
+  const [blend, setBlend] = useState(0.5);
+  const viewRef = useRef(createView());
+  const parametersA = effectiveParameters(entryA);
+  const parametersB = effectiveParameters(entryB);
+  const rows = diffParameters(parametersA, parametersB);
+  const blended = interpolateParameters(parametersA, parametersB, blend);
+
+  return (
+    <div style={{ position: "absolute", top: 0, left: 0, right: 0, bottom: 0 }}>
+      {mode === "split" ? (
+        <div style={{ display: "flex", width: "100%", height: "100%" }}>
+          {[["A", entryA, parametersA, COMPARE_TINTS.a], ["B", entryB, parametersB, COMPARE_TINTS.b]].map(([label, entry, parameters, color], i) => (
+            <div
+              key={label}
+              style={{
+                position: "relative",
+                flex: 1,
+                height: "100%",
+                borderLeft: i === 1 ? "1px solid #e0e0e0" : "none"
+              }}
+            >
+              <FabricVisualizer
+                parameters={parameters}
+                seed={entrySeed(entry)}
+                mappingProfile={mappingProfile}
+                viewRef={viewRef}
+              />
+              <Caption label={label} entry={entry} color={color} side={i === 0 ? "right" : "left"} />
+            </div>
+          ))}
+        </div>
+      ) : mode === "overlay" ? (
+        <div style={{ position: "relative", width: "100%", height: "100%" }}>
+          <FabricVisualizer
+            parameters={parametersA}
+            seed={entrySeed(entryA)}
+            tint={COMPARE_TINTS.a}
+            overlayParameters={parametersB}
+            overlaySeed={entrySeed(entryB)}
+            overlayTint={COMPARE_TINTS.b}
+            mappingProfile={mappingProfile}
+            viewRef={viewRef}
+          />
+        </div>
+      ) : (
+        <div style={{ position: "relative", width: "100%", height: "100%" }}>
+          <FabricVisualizer
+            parameters={parametersA}
+            seed={entrySeed(entryA)}
+            blendParameters={parametersB}
+            blendSeed={entrySeed(entryB)}
+            blend={blend}
+            mappingProfile={mappingProfile}
+            viewRef={viewRef}
+          />
+        </div>
+      )}
+
+      {/* Mode switch and parameter deltas */}
+      <div style={{
+        position: "absolute",
+        right: "40px",
+        bottom: "72px",
+        width: "280px",
+        padding: "16px",
+        background: "rgba(255, 255, 255, 0.9)",
+        fontSize: "11px",
+        color: "#999",
+        zIndex: 10
+      }}>
+        <div style={{ display: "flex", gap: "12px", alignItems: "center", marginBottom: "12px" }}>
+          {COMPARE_MODES.map((id) => (
+            <button
+              key={id}
+              type="button"
+              onClick={() => setMode(id)}
+              aria-pressed={mode === id}
+              style={{ ...linkButtonStyle, ...choiceStyle(mode === id) }}
+            >
+              {id}
+            </button>
+          ))}
+          <span style={{ marginLeft: "auto" }} />
+          <button type="button" onClick={onSwap} style={{ ...linkButtonStyle, color: "#000" }}>
+            Swap
+          </button>
+          <button type="button" onClick={onExit} style={{ ...linkButtonStyle, color: "#000" }}>
+            Close
+          </button>
+        </div>
+
+        <p style={{ marginBottom: "4px", overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap", color: "#333" }}>
+          <Swatch color={COMPARE_TINTS.a} />A • {entryA.text}
+        </p>
+        <p style={{ marginBottom: "12px", overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap", color: "#333" }}>
+          <Swatch color={COMPARE_TINTS.b} />B • {entryB.text}
+        </p>
+
+        {mode === "blend" && (
+          <label style={{ display: "flex", gap: "8px", alignItems: "center", marginBottom: "12px", letterSpacing: "1px" }}>
+            A
+            <input
+              type="range"
+              min={0}
+              max={1}
+              step={0.01}
+              value={blend}
+              onChange={(e) => setBlend(parseFloat(e.target.value))}
+              aria-label="Blend from A to B"
+              style={{ flex: 1, minWidth: 0 }}
+            />
+            B
+            <span style={{ width: "32px", textAlign: "right", color: "#000" }}>{blend.toFixed(2)}</span>
+          </label>
+        )}
+
+        <table style={{ width: "100%", borderCollapse: "collapse", fontVariantNumeric: "tabular-nums" }}>
+          <thead>
+            <tr style={{ textAlign: "right", fontSize: "10px", letterSpacing: "1px" }}>
+              <th style={{ textAlign: "left", fontWeight: 300 }}>Parameter</th>
+              <th style={{ fontWeight: 300 }}>A</th>
+              <th style={{ fontWeight: 300 }}>B</th>
+              {mode === "blend" && <th style={{ fontWeight: 300 }}>Blend</th>}
+              <th style={{ fontWeight: 300 }}>Δ B−A</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row) => (
+              <tr key={row.key} style={{ textAlign: "right", borderTop: "1px solid #e0e0e0" }}>
+                <td style={{ textAlign: "left", padding: "4px 0", letterSpacing: "1px", color: "#000" }}>{row.label}</td>
+                <td>{row.a.toFixed(2)}</td>
+                <td>{row.b.toFixed(2)}</td>
+                {mode === "blend" && <td style={{ color: "#000" }}>{blended[row.key].toFixed(2)}</td>}
+                <td style={{ color: Math.abs(row.delta) >= 0.2 ? "#000" : "#999" }}>{formatDelta(row.delta)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <p style={{
+        position: "absolute",
+        bottom: "40px",
+        right: "40px",
+        fontSize: "11px",
+        color: "#999",
+        fontWeight: 300,
+        letterSpacing: "0.5px",
+        margin: 0
+      }}>
+        Drag to rotate • Scroll to zoom • Views are linked
+      </p>
+    </div>
+  );
+}
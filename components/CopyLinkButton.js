@@ -0,0 +1,55 @@
+import { useEffect, useState } from "react";
+import { permalinkUrl } from "../lib/permalink";
+import { inlineLinkButtonStyle } from "./styles";
+
+// How long "Copied" stays up
+const CONFIRM_MS = 2000;
+
+// Copies a permalink for what is on screen. `getState` is called on click so
+// the link carries the camera pose of that moment (see lib/permalink.js).
+// Without clipboard access the link is put in the address bar instead.
+export default function CopyLinkButton({ getState }) {
+  const [status, setStatus] = useState(null);
+
+  useEffect(() => {
+    if (!status) return undefined;
+    const timer = setTimeout(() => setStatus(null), CONFIRM_MS);
+    return () => clearTimeout(timer);
+  }, [status]);
+
+  const handleClick = async () => {
+    const url = permalinkUrl(window.location, getState());
+    try {
+      await navigator.clipboard.writeText(url);
+      setStatus("Copied");
+    } catch (err) {
+      console.error("Copying the link failed:", err);
+      // replaceState, unlike setting location.hash, does not fire hashchange
+      window.history.replaceState(null, "", url);
+      setStatus("Link in address bar");
+    }
+  };
+
+  return (
+    <p style={{
+      marginTop: "8px",
+      fontSize: "10px",
+      letterSpacing: "1px",
+      textTransform: "uppercase",
+      color: "#999"
+    }}>
+      <button
+        type="button"
+        onClick={handleClick}
+        style={inlineLinkButtonStyle}
+      >
+        Copy link
+      </button>
+      {status && (
+        <span role="status" style={{ marginLeft: "8px" }}>
+          {status}
+        </span>
+      )}
+    </p>
+  );
+}
@@ -0,0 +1,79 @@
+import { useState } from "react";
+import { EXPORT_FORMATS, exportFabrics } from "../lib/fabric/export";
+import { downloadBlob, timestampedName } from "../lib/download";
+import { choiceStyle, linkButtonStyle } from "./styles";
+
+// 3D export of the fabric shown in a FabricVisualizer, read through the
+// visualizer's `apiRef`. "Current frame" bakes in the breathing pose of the
+// moment the button is pressed; leaving the cube faces out gives a printable
+// lattice of tubes and spheres.
+export default function ExportControls({ apiRef }) {
+  const [pose, setPose] = useState("rest");
+  const [includeFaces, setIncludeFaces] = useState(true);
+  const [busyFormat, setBusyFormat] = useState(null);
+  const [exportError, setExportError] = useState(null);
+
+  const handleExport = async (format) => {
+    const api = apiRef.current;
+    if (!api || busyFormat) return;
+
+    setBusyFormat(format);
+    setExportError(null);
+    try {
+      const blob = await exportFabrics(api.THREE, api.getFabrics(), format, { pose, includeFaces });
+      downloadBlob(blob, timestampedName("fabric", EXPORT_FORMATS[format].extension));
+    } catch (err) {
+      console.error("Fabric export failed:", err);
+      setExportError(`Could not export ${EXPORT_FORMATS[format].label}: ${err.message}`);
+    } finally {
+      setBusyFormat(null);
+    }
+  };
+
+  return (
+    <div style={{ marginTop: "8px", fontSize: "10px", color: "#999" }}>
+      <div style={{ display: "flex", gap: "12px", alignItems: "center", flexWrap: "wrap" }}>
+        <span style={{ letterSpacing: "1px", textTransform: "uppercase" }}>3D</span>
+        {Object.entries(EXPORT_FORMATS).map(([format, { label }]) => (
+          <button
+            key={format}
+            type="button"
+            onClick={() => handleExport(format)}
+            disabled={busyFormat !== null}
+            aria-busy={busyFormat === format}
+            style={{ ...linkButtonStyle, color: busyFormat !== null ? "#ccc" : "#000" }}
+          >
+            {busyFormat === format ? `${label}…` : label}
+          </button>
+        ))}
+      </div>
+      <div style={{ display: "flex", gap: "12px", alignItems: "center", flexWrap: "wrap", marginTop: "6px" }}>
+        {[["rest", "Rest"], ["frame", "Current frame"]].map(([value, label]) => (
+          <button
+            key={value}
+            type="button"
+            onClick={() => setPose(value)}
+            aria-pressed={pose === value}
+            style={{ ...linkButtonStyle, ...choiceStyle(pose === value) }}
+          >
+            {label}
+          </button>
+        ))}
+        <label style={{ display: "flex", gap: "6px", alignItems: "center", letterSpacing: "1px", textTransform: "uppercase" }}>
+          <input
+            type="checkbox"
+            checked={includeFaces}
+            onChange={(e) => setIncludeFaces(e.target.checked)}
+          />
+          Cube faces
+        </label>
+      </div>
+
+      {exportError && (
+        <p role="alert" style={{ marginTop: "8px", color: "#b00020", lineHeight: "1.6" }}>
+          {exportError}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,42 @@
+import { useEffect, useState } from "react";
+import { requestThumbnail } from "../lib/fabric/thumbnails";
+
+// Small still of an entry's fabric, rendered from the same geometry as
+// FabricVisualizer and re-rendered whenever the parameters, mapping profile
+// or seed change. `partial` marks parameters still coming in, so the missing
+// ones are expected.
+export default function FabricThumbnail({ parameters, size = 96, mappingProfile, seed, partial = false, label }) {
+  const [src, setSrc] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    import('three')
+      .then((module) => requestThumbnail(module.default || module, parameters, { size, mappingProfile, seed, allowPartial: partial }))
+      .then((dataUrl) => {
+        if (!cancelled) setSrc(dataUrl);
+      })
+      .catch((err) => {
+        console.error('Failed to render thumbnail:', err);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [parameters, size, mappingProfile, seed, partial]);
+
+  return (
+    <div style={{
+      width: "100%",
+      aspectRatio: "1 / 1",
+      background: src ? "transparent" : "#f0f0f0",
+      animation: src ? "none" : "pulse 1.5s ease-in-out infinite",
+      borderRadius: "2px"
+    }}>
+      {src && (
+        // eslint-disable-next-line @next/next/no-img-element
+        <img src={src} alt={label || ""} width={size} height={size} style={{ width: "100%", height: "100%", display: "block" }} />
+      )}
+    </div>
+  );
+}
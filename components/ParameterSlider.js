@@ -0,0 +1,159 @@
+import { useRef, useState } from "react";
+
+const STEP = 0.01;
+const PAGE_STEP = 0.1;
+// Room left of and right of the track for the low/high labels
+const TRACK_START = 80;
+const TRACK_END = 90;
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+const roundToStep = (value) => Math.round(value / STEP) / (1 / STEP);
+
+const positionFor = (value) => `calc(${TRACK_START}px + (100% - ${TRACK_START + TRACK_END}px) * ${value})`;
+
+// Track for one garment parameter: drag it or use the arrow keys (Shift or
+// Page Up/Down for bigger steps, Home/End for the ends). The black tick is
+// the value in use; a grey tick marks the model's value once it is edited.
+// `onChange` fires on every step of a drag or key press; `onCommit` once the
+// pointer or key is released after a change, for work too slow to repeat.
+export default function ParameterSlider({ label, value, modelValue, lowLabel, highLabel, disabled, onChange, onCommit }) {
+  const trackRef = useRef(null);
+  const [isDragging, setIsDragging] = useState(false);
+  // Whether the value changed since the last commit
+  const changedRef = useRef(false);
+
+  const setValue = (next) => {
+    const rounded = roundToStep(clamp01(next));
+    if (rounded === value) return;
+    changedRef.current = true;
+    onChange(rounded);
+  };
+
+  const commit = () => {
+    if (!changedRef.current) return;
+    changedRef.current = false;
+    onCommit?.();
+  };
+
+  const valueFromPointer = (clientX) => {
+    const rect = trackRef.current.getBoundingClientRect();
+    return (clientX - rect.left - TRACK_START) / (rect.width - TRACK_START - TRACK_END);
+  };
+
+  const handlePointerDown = (e) => {
+    if (disabled) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setIsDragging(true);
+    setValue(valueFromPointer(e.clientX));
+  };
+
+  const handlePointerMove = (e) => {
+    if (!isDragging) return;
+    setValue(valueFromPointer(e.clientX));
+  };
+
+  const handlePointerUp = () => {
+    setIsDragging(false);
+    commit();
+  };
+
+  const handleKeyDown = (e) => {
+    if (disabled) return;
+    const step = e.shiftKey ? PAGE_STEP : STEP;
+    const keySteps = {
+      ArrowLeft: -step,
+      ArrowDown: -step,
+      ArrowRight: step,
+      ArrowUp: step,
+      PageDown: -PAGE_STEP,
+      PageUp: PAGE_STEP,
+    };
+
+    if (keySteps[e.key] !== undefined) {
+      setValue(value + keySteps[e.key]);
+    } else if (e.key === "Home") {
+      setValue(0);
+    } else if (e.key === "End") {
+      setValue(1);
+    } else {
+      return;
+    }
+    e.preventDefault();
+  };
+
+  // Holding a key repeats keydown, but the key comes up once
+  const handleKeyUp = () => {
+    commit();
+  };
+
+  const isEdited = modelValue !== undefined && modelValue !== value;
+  // Spoken instead of the bare number, e.g. "0.72, toward Loose"
+  const position = value < 1 / 3 ? `toward ${lowLabel}` : value > 2 / 3 ? `toward ${highLabel}` : `between ${lowLabel} and ${highLabel}`;
+  const valueText = `${value.toFixed(2)}, ${position}${isEdited ? `, edited from ${modelValue.toFixed(2)}` : ""}`;
+
+  return (
+    <div
+      ref={trackRef}
+      role="slider"
+      tabIndex={disabled ? -1 : 0}
+      aria-label={label}
+      aria-valuemin={0}
+      aria-valuemax={1}
+      aria-valuenow={value}
+      aria-valuetext={valueText}
+      aria-orientation="horizontal"
+      aria-disabled={disabled || undefined}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={handlePointerUp}
+      onKeyDown={handleKeyDown}
+      onKeyUp={handleKeyUp}
+      style={{
+        flex: 1,
+        position: "relative",
+        height: "20px",
+        display: "flex",
+        alignItems: "center",
+        margin: "0 20px",
+        paddingLeft: `${TRACK_START}px`,
+        paddingRight: `${TRACK_END}px`,
+        cursor: disabled ? "default" : "ew-resize",
+        touchAction: "none",
+        userSelect: "none"
+      }}
+    >
+      <span style={{ fontSize: "10px", color: "#999", position: "absolute", left: "0", whiteSpace: "nowrap" }}>{lowLabel}</span>
+      <div style={{
+        position: "absolute",
+        left: `${TRACK_START}px`,
+        right: `${TRACK_END}px`,
+        height: "1px",
+        background: "#e0e0e0"
+      }} />
+      {isEdited && (
+        <div
+          title={`Model: ${modelValue.toFixed(2)}`}
+          style={{
+            position: "absolute",
+            left: positionFor(modelValue),
+            width: "1px",
+            height: "10px",
+            background: "#bbb",
+            transform: "translateX(-50%)"
+          }}
+        />
+      )}
+      <div style={{
+        position: "absolute",
+        left: positionFor(value),
+        width: isEdited ? "2px" : "1px",
+        height: "16px",
+        background: "#000",
+        transform: "translateX(-50%)",
+        transition: isDragging ? "none" : "left 0.8s ease-out"
+      }} />
+      <span style={{ fontSize: "10px", color: "#999", position: "absolute", right: "0", whiteSpace: "nowrap" }}>{highLabel}</span>
+    </div>
+  );
+}
@@ -0,0 +1,73 @@
+import { useState } from "react";
+import { MAX_SEED } from "../lib/random";
+import { inlineLinkButtonStyle } from "./styles";
+
+// Render seed of the selected entry. Typing a new one (applied on Enter or
+// blur) redraws the fabric's random details; Reset goes back to the seed
+// derived from the entry itself.
+export default function SeedField({ seed, defaultSeed, onChange }) {
+  const [draft, setDraft] = useState(null);
+
+  const commit = () => {
+    if (draft === null) return;
+    const next = Number(draft.trim());
+    setDraft(null);
+    if (draft.trim() !== "" && Number.isInteger(next) && next >= 0 && next <= MAX_SEED && next !== seed) {
+      onChange(next);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Enter") {
+      e.preventDefault();
+      commit();
+    } else if (e.key === "Escape") {
+      setDraft(null);
+    }
+  };
+
+  return (
+    <p style={{
+      marginTop: "8px",
+      fontSize: "10px",
+      letterSpacing: "1px",
+      textTransform: "uppercase",
+      color: "#999"
+    }}>
+      <label>
+        Seed
+        <input
+          type="text"
+          inputMode="numeric"
+          value={draft ?? String(seed)}
+          onChange={(e) => setDraft(e.target.value)}
+          onBlur={commit}
+          onKeyDown={handleKeyDown}
+          title={`Any whole number from 0 to ${MAX_SEED}`}
+          style={{
+            width: "90px",
+            marginLeft: "8px",
+            padding: "0 0 1px",
+            border: "none",
+            borderBottom: "1px solid #e0e0e0",
+            background: "transparent",
+            fontFamily: "'Poppins', sans-serif",
+            fontSize: "11px",
+            fontWeight: 300,
+            color: "#000",
+            outline: "none",
+            fontVariantNumeric: "tabular-nums"
+          }}
+        />
+      </label>
+      {seed !== defaultSeed && (
+        <>
+          <span style={{ margin: "0 8px" }}>•</span>
+          <button type="button" onClick={() => onChange(defaultSeed)} style={inlineLinkButtonStyle}>
+            Reset
+          </button>
+        </>
+      )}
+    </p>
+  );
+}
@@ -0,0 +1,46 @@
+// Inline styles shared by the text-only buttons across the page and panels
+
+// Small uppercase action, e.g. Export, Run or Swap (override `color` to dim one)
+export const linkButtonStyle = {
+  padding: 0,
+  border: "none",
+  background: "transparent",
+  fontFamily: "'Poppins', sans-serif",
+  fontSize: "10px",
+  fontWeight: 300,
+  letterSpacing: "1px",
+  textTransform: "uppercase",
+  color: "#000",
+  cursor: "pointer"
+};
+
+// Underlined action inside a line of text, in that line's font
+export const inlineLinkButtonStyle = {
+  padding: 0,
+  border: "none",
+  background: "transparent",
+  font: "inherit",
+  letterSpacing: "inherit",
+  textTransform: "inherit",
+  color: "#000",
+  textDecoration: "underline",
+  cursor: "pointer"
+};
+
+// Plain 11px action in a row of choices, e.g. the camera presets
+export const optionButtonStyle = {
+  padding: 0,
+  border: "none",
+  background: "transparent",
+  fontFamily: "'Poppins', sans-serif",
+  fontSize: "11px",
+  fontWeight: 300,
+  color: "#999",
+  cursor: "pointer"
+};
+
+// Spread over either button style: dims a choice unless it is the active one
+export const choiceStyle = (active) => ({
+  color: active ? "#000" : "#999",
+  textDecoration: active ? "underline" : "none"
+});
@@ -0,0 +1,160 @@
+// Shared analysis flow for /api/analyze and the client-side fallback:
+// ask the provider's model, validate its JSON strictly, and re-ask once with
+// the validation errors before giving up with INVALID_MODEL_OUTPUT.
+// Rule-based providers skip the chat round-trip entirely.
+//
+// With `onProgress`, chat providers that can stream report how far the answer
+// has got, so the page can fill in values before the analysis is done.
+
+import {
+  EXPLANATION_KEYS,
+  PARAMETER_KEYS,
+  buildSystemPrompt,
+  clampParameter,
+  normalizeParameters,
+  validateExplanation,
+  validateParameters,
+} from "./garment-schema";
+import { AnalysisError, ERROR_CODES, analysisErrorFromResponse } from "./errors";
+import { readEventStream } from "./sse";
+
+// Number of corrective re-asks after the first answer
+const MAX_REPAIR_ATTEMPTS = 1;
+
+// Stages reported to onProgress, in the order they normally come
+export const ANALYSIS_STAGES = {
+  WAITING: "waiting", // asked the model, nothing back yet
+  PARAMETERS: "parameters", // parameter values are arriving
+  EXPLAINING: "explaining", // all five are in, factors and rationale are being written
+  CHECKING: "checking", // the whole answer is in and being validated
+  REPAIRING: "repairing", // re-asked the model to correct an invalid answer
+};
+
+// Parameter values that are complete in a partial JSON answer. A number
+// counts once something follows it, so "0.6" is not reported while "0.65"
+// is still arriving. Rationale strings under the same keys never match.
+export function extractPartialParameters(content) {
+  const values = {};
+  PARAMETER_KEYS.forEach((key) => {
+    const match = content.match(new RegExp(`"${key}"\\s*:\\s*(-?\\d+(?:\\.\\d+)?(?:[eE][-+]?\\d+)?)\\s*[,}\\n]`));
+    if (match) values[key] = clampParameter(Number(match[1]));
+  });
+  return values;
+}
+
+// Ask once, streaming when the provider can and someone is listening
+async function requestAnswer(provider, messages, { explain, attempt, onProgress }) {
+  if (!onProgress) return provider.complete(messages);
+
+  onProgress({ stage: attempt === 0 ? ANALYSIS_STAGES.WAITING : ANALYSIS_STAGES.REPAIRING, attempt });
+  if (!provider.stream) return provider.complete(messages);
+
+  let reported = 0;
+  return provider.stream(messages, (content) => {
+    const parameters = extractPartialParameters(content);
+    const count = Object.keys(parameters).length;
+    if (count === reported) return;
+    reported = count;
+    const complete = count === PARAMETER_KEYS.length;
+    onProgress({
+      stage: !complete ? ANALYSIS_STAGES.PARAMETERS : explain ? ANALYSIS_STAGES.EXPLAINING : ANALYSIS_STAGES.CHECKING,
+      attempt,
+      parameters,
+    });
+  });
+}
+
+function parseModelOutput(content) {
+  try {
+    return { parsed: JSON.parse(content), errors: null };
+  } catch (err) {
+    return { parsed: null, errors: [`Response is not valid JSON (${err.message}).`] };
+  }
+}
+
+function buildRepairMessage(errors) {
+  return `Your previous response was invalid:
+${errors.map((error) => `- ${error}`).join("\n")}
+
+Return the corrected JSON object only.`;
+}
+
+// Attach the valid parts of an explanation; empty blocks are left off
+function withExplanation(values, { factors, rationale }) {
+  const result = { ...values };
+  if (Object.keys(factors).length > 0) result.factors = factors;
+  if (Object.keys(rationale).length > 0) result.rationale = rationale;
+  return result;
+}
+
+// `explain` additionally asks for the extracted situation factors and a
+// one-line rationale per parameter. Explanation problems trigger the repair
+// re-ask but never fail an analysis whose parameters were valid on some
+// attempt.
+// `onProgress({ stage, attempt, parameters })` is called as the answer comes
+// in; `parameters` holds the values decided so far (see ANALYSIS_STAGES).
+export async function analyzeWithProvider(provider, text, { explain = false, onProgress } = {}) {
+  if (provider.kind === "rules") {
+    const raw = provider.analyze(text, { explain });
+    const { values } = normalizeParameters(raw);
+    return explain ? withExplanation(values, validateExplanation(raw)) : values;
+  }
+
+  const messages = [
+    { role: "system", content: buildSystemPrompt({ explain }) },
+    { role: "user", content: text },
+  ];
+  const allowedExtraKeys = explain ? EXPLANATION_KEYS : [];
+
+  let errors = [];
+  // Valid values whose explanation was rejected, kept in case the repair
+  // attempt breaks the parameters themselves
+  let fallback = null;
+  for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+    const content = await requestAnswer(provider, messages, { explain, attempt, onProgress });
+    onProgress?.({ stage: ANALYSIS_STAGES.CHECKING, attempt });
+
+    const { parsed, errors: parseErrors } = parseModelOutput(content);
+    errors = parseErrors || validateParameters(parsed, { allowedExtraKeys });
+    const explanation = explain && errors.length === 0 ? validateExplanation(parsed) : null;
+
+    if (errors.length === 0) {
+      const { values } = normalizeParameters(parsed);
+      const isLastAttempt = attempt === MAX_REPAIR_ATTEMPTS;
+      if (!explanation) return values;
+      if (explanation.errors.length === 0 || isLastAttempt) {
+        return withExplanation(values, explanation);
+      }
+      fallback = { values, explanation };
+    }
+
+    const repairErrors = errors.length > 0 ? errors : explanation.errors;
+    console.warn(`Model output rejected (attempt ${attempt + 1}):`, repairErrors);
+    messages.push(
+      { role: "assistant", content },
+      { role: "user", content: buildRepairMessage(repairErrors) }
+    );
+  }
+
+  if (fallback) {
+    return withExplanation(fallback.values, fallback.explanation);
+  }
+  throw new AnalysisError(ERROR_CODES.INVALID_MODEL_OUTPUT, undefined, errors);
+}
+
+// Read a streamed /api/analyze response (see ?stream in pages/api/analyze.js):
+// passes each progress event to onProgress and resolves with the result, or
+// throws the AnalysisError the route reported
+export async function readAnalysisStream(response, onProgress) {
+  let result = null;
+  let failure = null;
+  await readEventStream(response, (event, data) => {
+    if (event === "progress") onProgress?.(data);
+    else if (event === "result") result = data;
+    else if (event === "error") failure = data;
+  });
+  if (failure || !result) {
+    throw analysisErrorFromResponse(failure || { details: "The analysis stream ended early." });
+  }
+  return result;
+}
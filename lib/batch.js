@@ -0,0 +1,112 @@
+// Batch analysis: many descriptions in one go, from a list, a text file (one
+// description per line) or a CSV with a text column. Items run a few at a
+// time and each one succeeds or fails on its own, so one unreadable answer
+// does not lose the rest of the batch.
+
+import { AnalysisError, ERROR_CODES, analysisErrorFromResponse, errorResponse } from "./errors";
+import { TEXT_COLUMN_ALIASES, parseCsv } from "./catalog/formats";
+import { readEventStream } from "./sse";
+
+export const MAX_BATCH_SIZE = 100;
+export const DEFAULT_BATCH_CONCURRENCY = 4;
+export const MAX_BATCH_CONCURRENCY = 8;
+
+// Descriptions from an uploaded file or pasted text. A CSV whose header has a
+// text column (see TEXT_COLUMN_ALIASES) gives that column, with line breaks
+// inside a cell folded into spaces; anything else is read as one description
+// per line.
+export function parseBatchInput(content) {
+  const text = String(content || "").replace(/^\uFEFF/, "");
+  const [header = [], ...rows] = parseCsv(text);
+  const column = header.findIndex((name) => TEXT_COLUMN_ALIASES.includes(name.trim().toLowerCase()));
+  if (column !== -1) {
+    return rows.map((row) => (row[column] || "").replace(/\s+/g, " ").trim()).filter(Boolean);
+  }
+  return text.split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+}
+
+// Throws INVALID_BATCH unless `texts` is a usable list of descriptions
+export function validateBatch(texts) {
+  const fail = (message) => {
+    throw new AnalysisError(ERROR_CODES.INVALID_BATCH, message);
+  };
+  if (!Array.isArray(texts) || texts.length === 0) fail("Send at least one description.");
+  if (texts.length > MAX_BATCH_SIZE) {
+    fail(`A batch holds at most ${MAX_BATCH_SIZE} descriptions; this one has ${texts.length}.`);
+  }
+  const blank = texts.findIndex((text) => typeof text !== "string" || !text.trim());
+  if (blank !== -1) fail(`Description ${blank + 1} is empty or not text.`);
+}
+
+export function clampConcurrency(value) {
+  const number = Math.floor(Number(value));
+  if (!Number.isFinite(number) || number < 1) return DEFAULT_BATCH_CONCURRENCY;
+  return Math.min(MAX_BATCH_CONCURRENCY, number);
+}
+
+// Run `analyze(text)` over `texts`, at most `concurrency` at once. Each
+// finished item is passed to onItem as soon as it is done (so not in order):
+//
+//   { index, text, result }                       on success
+//   { index, text, error: { error, code, details } } on failure
+//
+// Once `signal` aborts, no new items start. Resolves with the items in input
+// order (unstarted ones left out) and the success and failure counts.
+export async function runBatch(texts, analyze, { concurrency, onItem, signal } = {}) {
+  const items = [];
+  let next = 0;
+
+  const worker = async () => {
+    while (next < texts.length && !signal?.aborted) {
+      const index = next;
+      next += 1;
+      const text = texts[index];
+      let item;
+      try {
+        item = { index, text, result: await analyze(text) };
+      } catch (error) {
+        item = { index, text, error: errorResponse(error).body };
+      }
+      items[index] = item;
+      onItem?.(item);
+    }
+  };
+
+  const workers = Math.min(clampConcurrency(concurrency), texts.length);
+  await Promise.all(Array.from({ length: workers }, worker));
+
+  const finished = items.filter(Boolean);
+  const failed = finished.filter((item) => item.error).length;
+  return { items: finished, succeeded: finished.length - failed, failed };
+}
+
+// Run a batch through /api/analyze from the page; `force` skips the
+// analysis cache. onStart({ total, concurrency }) and onItem(item) follow the
+// route's events; resolves with
+// its final { total, succeeded, failed }, or throws the error the route
+// stopped the batch with (RATE_LIMITED).
+export async function analyzeBatchOnServer(texts, { explain, force, concurrency, onStart, onItem, signal } = {}) {
+  const res = await fetch("/api/analyze", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ texts, explain, force, concurrency }),
+    signal,
+  });
+  if (!res.ok) {
+    throw analysisErrorFromResponse(await res.json().catch(() => null));
+  }
+
+  let summary = null;
+  await readEventStream(res, (event, data) => {
+    if (event === "start") onStart?.(data);
+    else if (event === "item") onItem?.(data);
+    else if (event === "done") summary = data;
+  });
+  if (!summary) {
+    throw new AnalysisError(ERROR_CODES.ANALYSIS_FAILED, "The batch stopped before it finished.");
+  }
+  if (summary.stopped) {
+    throw analysisErrorFromResponse(summary.stopped);
+  }
+  return summary;
+}
@@ -0,0 +1,136 @@
+// Cache of analyzer answers, so a description that was already analyzed is
+// not sent to the model again (costing money and coming back with slightly
+// different numbers). Two tiers: an in-memory LRU in front of a persistent
+// store, a JSON file on the server (file-store.js) or IndexedDB in the
+// browser (browser-store.js). Persistent stores share one async API:
+//
+//   get(key) → { result, storedAt } | null, set(key, record), delete(key), clear()
+//
+// Keys combine PROMPT_VERSION, the provider and model, whether an
+// explanation was asked for and the normalized text, so a new prompt or
+// model never gets an old answer.
+
+import { analyzeWithProvider } from "../analyzer";
+import { PROMPT_VERSION } from "../garment-schema";
+
+export const DEFAULT_CACHE_TTL_SECONDS = 7 * 24 * 60 * 60;
+export const DEFAULT_MEMORY_ENTRIES = 500;
+
+// Case, spacing, Unicode variants and closing punctuation do not change the answer
+export function normalizeCacheText(text) {
+  return String(text || "")
+    .normalize("NFKC")
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+    .replace(/[\s.!?…]+$/, "")
+    .trim();
+}
+
+export function analysisCacheKey(text, { provider, explain = false }) {
+  return [PROMPT_VERSION, provider.id, provider.model, explain ? "explain" : "values", normalizeCacheText(text)].join("|");
+}
+
+// TTL in seconds from a config value; 0 turns the cache off, anything
+// unreadable falls back to the default
+export function parseCacheTtl(value) {
+  if (value === undefined || value === null || value === "") return DEFAULT_CACHE_TTL_SECONDS;
+  const seconds = Number(value);
+  return Number.isFinite(seconds) && seconds >= 0 ? seconds : DEFAULT_CACHE_TTL_SECONDS;
+}
+
+// Least recently used records are dropped once there are more than maxEntries
+function createMemoryTier(maxEntries) {
+  const records = new Map();
+  return {
+    get(key) {
+      const record = records.get(key);
+      if (!record) return null;
+      // Re-insert so Map order stays oldest-used first
+      records.delete(key);
+      records.set(key, record);
+      return record;
+    },
+    set(key, record) {
+      records.delete(key);
+      records.set(key, record);
+      while (records.size > maxEntries) records.delete(records.keys().next().value);
+    },
+    delete(key) {
+      records.delete(key);
+    },
+    clear() {
+      records.clear();
+    },
+  };
+}
+
+// `ttl` in seconds. Problems with the persistent store are logged and the
+// memory tier carries on alone, so the cache never fails an analysis.
+export function createAnalysisCache({ persistent = null, ttl = DEFAULT_CACHE_TTL_SECONDS, maxEntries = DEFAULT_MEMORY_ENTRIES } = {}) {
+  const memory = createMemoryTier(maxEntries);
+  const isFresh = (record) => Date.now() - record.storedAt < ttl * 1000;
+
+  return {
+    async get(key) {
+      const cached = memory.get(key);
+      if (cached) {
+        if (isFresh(cached)) return cached.result;
+        memory.delete(key);
+      }
+      if (!persistent) return null;
+
+      try {
+        const record = await persistent.get(key);
+        if (!record) return null;
+        if (!isFresh(record)) {
+          await persistent.delete(key);
+          return null;
+        }
+        memory.set(key, record);
+        return record.result;
+      } catch (err) {
+        console.error("Reading the analysis cache failed:", err);
+        return null;
+      }
+    },
+
+    async set(key, result) {
+      const record = { result, storedAt: Date.now() };
+      memory.set(key, record);
+      if (!persistent) return;
+      try {
+        await persistent.set(key, record);
+      } catch (err) {
+        console.error("Writing the analysis cache failed:", err);
+      }
+    },
+
+    async clear() {
+      memory.clear();
+      if (persistent) await persistent.clear();
+    },
+  };
+}
+
+// analyzeWithProvider behind `cache` (null for none). `force` skips the
+// lookup and replaces the cached answer with a fresh one. Answers from the
+// cache carry `cached: true`. Rule-based providers are never cached: they
+// are instant and always give the same answer. `beforeAnalyze()` runs only
+// when a fresh answer is about to be asked for, never on a cache hit, and may
+// throw to refuse it (the route charges its rate limit there).
+export async function analyzeWithCache(cache, provider, text, { force = false, beforeAnalyze, ...options } = {}) {
+  if (!cache || provider.kind === "rules") {
+    beforeAnalyze?.();
+    return analyzeWithProvider(provider, text, options);
+  }
+
+  const key = analysisCacheKey(text, { provider, explain: options.explain });
+  if (!force) {
+    const cached = await cache.get(key);
+    if (cached) return { ...cached, cached: true };
+  }
+  beforeAnalyze?.();
+  const result = await analyzeWithProvider(provider, text, options);
+  await cache.set(key, result);
+  return result;
+}
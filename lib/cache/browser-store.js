@@ -0,0 +1,80 @@
+// IndexedDB persistent tier of the analysis cache for the client-side
+// analyzer (same API as file-store.js). Kept in its own database so clearing
+// the cache never touches the catalog.
+//
+//   NEXT_PUBLIC_ANALYZER_CACHE_TTL   seconds an answer is reused, default 7 days; 0 turns the cache off
+
+import { createAnalysisCache, parseCacheTtl } from "./analysis-cache";
+
+const DB_NAME = "analysis-cache";
+const DB_VERSION = 1;
+const STORE_NAME = "answers";
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB is not available in this browser"));
+      return;
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        db.createObjectStore(STORE_NAME, { keyPath: "key" });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export function createBrowserCacheStore() {
+  let dbPromise = null;
+  const getDatabase = () => {
+    if (!dbPromise) dbPromise = openDatabase();
+    return dbPromise;
+  };
+
+  const withStore = async (mode, fn) => {
+    const db = await getDatabase();
+    const transaction = db.transaction(STORE_NAME, mode);
+    return requestToPromise(fn(transaction.objectStore(STORE_NAME)));
+  };
+
+  return {
+    async get(key) {
+      const stored = await withStore("readonly", (store) => store.get(key));
+      return stored ? { result: stored.result, storedAt: stored.storedAt } : null;
+    },
+
+    async set(key, record) {
+      await withStore("readwrite", (store) => store.put({ key, ...record }));
+    },
+
+    async delete(key) {
+      await withStore("readwrite", (store) => store.delete(key));
+    },
+
+    async clear() {
+      await withStore("readwrite", (store) => store.clear());
+    },
+  };
+}
+
+// One shared cache per page; null when NEXT_PUBLIC_ANALYZER_CACHE_TTL is 0
+let browserCache;
+export function getBrowserAnalysisCache() {
+  if (browserCache === undefined) {
+    // NEXT_PUBLIC_ variables are inlined at build time, so read them literally
+    const ttl = parseCacheTtl(process.env.NEXT_PUBLIC_ANALYZER_CACHE_TTL);
+    browserCache = ttl === 0 ? null : createAnalysisCache({ persistent: createBrowserCacheStore(), ttl });
+  }
+  return browserCache;
+}
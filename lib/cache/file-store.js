@@ -0,0 +1,90 @@
+// Server-only persistent tier of the analysis cache: a JSON file
+// ({ "records": { key: { result, storedAt } } }) that survives restarts.
+// Writes are serialized and go through a temp file + rename, like the
+// catalog's file store.
+//
+//   ANALYZER_CACHE_TTL    seconds an answer is reused, default 7 days; 0 turns the cache off
+//   ANALYZER_CACHE_FILE   defaults to data/analysis-cache.json
+//   ANALYZER_CACHE_SIZE   answers kept in memory, default 500
+
+import fs from "fs";
+import path from "path";
+import { DEFAULT_MEMORY_ENTRIES, createAnalysisCache, parseCacheTtl } from "./analysis-cache";
+
+export const DEFAULT_CACHE_FILE = path.join(process.cwd(), "data", "analysis-cache.json");
+
+// The file keeps at most this many answers, dropping the oldest
+const MAX_FILE_RECORDS = 5000;
+
+export function createFileCacheStore(filePath = DEFAULT_CACHE_FILE, { ttl } = {}) {
+  let writeQueue = Promise.resolve();
+
+  const readRecords = async () => {
+    try {
+      const contents = await fs.promises.readFile(filePath, "utf8");
+      return JSON.parse(contents).records || {};
+    } catch (err) {
+      if (err.code === "ENOENT") return {};
+      throw err;
+    }
+  };
+
+  // Expired and surplus records are dropped on every write
+  const writeRecords = async (records) => {
+    const now = Date.now();
+    const kept = Object.entries(records)
+      .filter(([, record]) => ttl === undefined || now - record.storedAt < ttl * 1000)
+      .sort(([, a], [, b]) => b.storedAt - a.storedAt)
+      .slice(0, MAX_FILE_RECORDS);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify({ records: Object.fromEntries(kept) }));
+    await fs.promises.rename(tempPath, filePath);
+  };
+
+  // Run read-modify-write operations one at a time
+  const mutate = (fn) => {
+    const run = writeQueue.then(async () => writeRecords(fn(await readRecords())));
+    writeQueue = run.catch(() => {});
+    return run;
+  };
+
+  return {
+    async get(key) {
+      return (await readRecords())[key] || null;
+    },
+
+    set(key, record) {
+      return mutate((records) => ({ ...records, [key]: record }));
+    },
+
+    delete(key) {
+      return mutate((records) => {
+        const rest = { ...records };
+        delete rest[key];
+        return rest;
+      });
+    },
+
+    clear() {
+      return mutate(() => ({}));
+    },
+  };
+}
+
+// One cache per server process, configured from the environment; null when
+// ANALYZER_CACHE_TTL is 0
+let serverCache;
+export function getServerAnalysisCache(env = process.env) {
+  if (serverCache === undefined) {
+    const ttl = parseCacheTtl(env.ANALYZER_CACHE_TTL);
+    serverCache = ttl === 0
+      ? null
+      : createAnalysisCache({
+        persistent: createFileCacheStore(env.ANALYZER_CACHE_FILE || DEFAULT_CACHE_FILE, { ttl }),
+        ttl,
+        maxEntries: Number(env.ANALYZER_CACHE_SIZE) || DEFAULT_MEMORY_ENTRIES,
+      });
+  }
+  return serverCache;
+}
@@ -0,0 +1,89 @@
+// IndexedDB-backed catalog store for the browser.
+// Same async API as lib/catalog/file-store.js:
+//   list() → entries (newest first), get(id), add(entry), update(id, patch),
+//   remove(id), clear()
+
+import { sortEntriesByDate } from "./entry";
+
+const DB_NAME = "living-catalog";
+const DB_VERSION = 1;
+const STORE_NAME = "entries";
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB is not available in this browser"));
+      return;
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        const store = db.createObjectStore(STORE_NAME, { keyPath: "id" });
+        store.createIndex("createdAt", "createdAt");
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export function createBrowserCatalog() {
+  let dbPromise = null;
+  const getDatabase = () => {
+    if (!dbPromise) dbPromise = openDatabase();
+    return dbPromise;
+  };
+
+  const withStore = async (mode, fn) => {
+    const db = await getDatabase();
+    const transaction = db.transaction(STORE_NAME, mode);
+    return requestToPromise(fn(transaction.objectStore(STORE_NAME)));
+  };
+
+  return {
+    async list() {
+      const entries = await withStore("readonly", (store) => store.getAll());
+      return sortEntriesByDate(entries);
+    },
+
+    async get(id) {
+      return (await withStore("readonly", (store) => store.get(id))) || null;
+    },
+
+    async add(entry) {
+      await withStore("readwrite", (store) => store.put(entry));
+      return entry;
+    },
+
+    async update(id, patch) {
+      const existing = await this.get(id);
+      if (!existing) return null;
+      const updated = { ...existing, ...patch, id };
+      await withStore("readwrite", (store) => store.put(updated));
+      return updated;
+    },
+
+    async remove(id) {
+      await withStore("readwrite", (store) => store.delete(id));
+    },
+
+    async clear() {
+      await withStore("readwrite", (store) => store.clear());
+    },
+  };
+}
+
+// One shared store per page
+let browserCatalog = null;
+export function getBrowserCatalog() {
+  if (!browserCatalog) browserCatalog = createBrowserCatalog();
+  return browserCatalog;
+}
@@ -0,0 +1,200 @@
+// Catalog entry shape shared by the IndexedDB store, the JSON file store
+// behind /api/catalog, and (later) import/export:
+//
+//   {
+//     id: string,
+//     text: string,                 // the situation description
+//     parameters: { Fit, Mesh, Thickness, Airflow, Support },  // analyzer output
+//     overrides?: { Fit?, ... },    // values edited by hand on the sliders
+//     seed: number,                 // render seed, see lib/random.js
+//     provider: string,             // analyzer provider id that produced it
+//     createdAt: string,            // ISO timestamp
+//     factors?: { ... },            // optional explanation, see garment-schema
+//     rationale?: { ... },
+//   }
+
+import {
+  PARAMETER_KEYS,
+  PARAMETER_MAX,
+  PARAMETER_MIN,
+  clampParameter,
+  normalizeParameters,
+  validateExplanation,
+  validateParameters,
+} from "../garment-schema";
+import { MAX_SEED, seedFromValues } from "../random";
+
+export function createEntryId() {
+  if (typeof crypto !== "undefined" && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+// Build a new entry from an analysis result (flat parameters plus optional
+// factors / rationale, as returned by the analyzer)
+export function createEntry({ text, result, provider }) {
+  const entry = {
+    id: createEntryId(),
+    text,
+    parameters: normalizeParameters(result).values,
+    provider: provider || result?.provider || "unknown",
+    createdAt: new Date().toISOString(),
+  };
+  entry.seed = defaultSeed(entry);
+  if (result?.factors) entry.factors = result.factors;
+  if (result?.rationale) entry.rationale = result.rationale;
+  return entry;
+}
+
+// Validate an entry coming from outside (API body, imported file). Returns
+// { entry, errors }; `entry` is null when the entry cannot be used.
+export function normalizeEntry(raw, { defaultProvider = "unknown" } = {}) {
+  if (!raw || typeof raw !== "object") {
+    return { entry: null, errors: ["Entry must be an object."] };
+  }
+
+  const errors = [];
+  if (typeof raw.text !== "string" || !raw.text.trim()) {
+    errors.push('"text" must be a non-empty string.');
+  }
+  errors.push(...validateParameters(raw.parameters));
+
+  const createdAt = raw.createdAt ? new Date(raw.createdAt) : new Date();
+  if (Number.isNaN(createdAt.getTime())) {
+    errors.push(`"createdAt" is not a valid date: ${JSON.stringify(raw.createdAt)}.`);
+  }
+
+  if (errors.length > 0) {
+    return { entry: null, errors };
+  }
+
+  const entry = {
+    id: typeof raw.id === "string" && raw.id ? raw.id : createEntryId(),
+    text: raw.text.trim(),
+    parameters: normalizeParameters(raw.parameters).values,
+    provider: typeof raw.provider === "string" && raw.provider ? raw.provider : defaultProvider,
+    createdAt: createdAt.toISOString(),
+  };
+
+  if (raw.seed !== undefined) {
+    const seedErrors = validateSeed(raw.seed);
+    if (seedErrors.length > 0) {
+      return { entry: null, errors: seedErrors };
+    }
+  }
+  entry.seed = raw.seed ?? defaultSeed(entry);
+
+  if (raw.overrides !== undefined) {
+    const overrideErrors = validateOverrides(raw.overrides);
+    if (overrideErrors.length > 0) {
+      return { entry: null, errors: overrideErrors };
+    }
+    const overrides = normalizeOverrides(raw.overrides, entry.parameters);
+    if (overrides) entry.overrides = overrides;
+  }
+
+  // Keep whatever part of an explanation is valid
+  if (raw.factors || raw.rationale) {
+    const { factors, rationale } = validateExplanation(raw);
+    if (Object.keys(factors).length > 0) entry.factors = factors;
+    if (Object.keys(rationale).length > 0) entry.rationale = rationale;
+  }
+
+  return { entry, errors };
+}
+
+// Overrides are optional and may cover any subset of the parameters
+export function validateOverrides(overrides) {
+  if (overrides === null || typeof overrides !== "object" || Array.isArray(overrides)) {
+    return ['"overrides" must be an object.'];
+  }
+  const errors = [];
+  Object.entries(overrides).forEach(([key, value]) => {
+    if (!PARAMETER_KEYS.includes(key)) {
+      errors.push(`Unknown override "${key}".`);
+    } else if (typeof value !== "number" || !Number.isFinite(value) || value < PARAMETER_MIN || value > PARAMETER_MAX) {
+      errors.push(`Override "${key}" must be a number between ${PARAMETER_MIN} and ${PARAMETER_MAX}.`);
+    }
+  });
+  return errors;
+}
+
+// Drop overrides that match the analyzer's value; undefined when none remain
+function normalizeOverrides(overrides, parameters) {
+  const kept = {};
+  PARAMETER_KEYS.forEach((key) => {
+    if (overrides[key] === undefined) return;
+    const value = clampParameter(overrides[key]);
+    if (value !== parameters[key]) kept[key] = value;
+  });
+  return Object.keys(kept).length > 0 ? kept : undefined;
+}
+
+// Entry with its hand edits replaced by `overrides` (already validated)
+export function withOverrides(entry, overrides) {
+  return { ...entry, overrides: normalizeOverrides(overrides, entry.parameters) };
+}
+
+// Entry with one parameter set by hand. Setting it back to the analyzer's
+// value removes the override.
+export function setOverride(entry, key, value) {
+  return withOverrides(entry, { ...entry.overrides, [key]: value });
+}
+
+export function clearOverrides(entry) {
+  return { ...entry, overrides: undefined };
+}
+
+// The seed an entry gets unless one is set by hand: a hash of its text and
+// the analyzer's values, so the same analysis always renders the same way
+export function defaultSeed(entry) {
+  return seedFromValues(entry.text, entry.parameters);
+}
+
+export function validateSeed(seed) {
+  if (!Number.isInteger(seed) || seed < 0 || seed > MAX_SEED) {
+    return [`"seed" must be an integer between 0 and ${MAX_SEED}.`];
+  }
+  return [];
+}
+
+// Seed to render an entry with (entries saved before seeds existed have none)
+export function entrySeed(entry) {
+  return entry.seed ?? defaultSeed(entry);
+}
+
+// Entry with its render seed replaced (already validated)
+export function setSeed(entry, seed) {
+  return { ...entry, seed };
+}
+
+// Cached per entry object (entries are replaced, never mutated) so effects
+// keyed on the parameters only re-run when an entry actually changes
+const effectiveParametersCache = new WeakMap();
+
+// The values actually shown: analyzer output with any hand edits on top
+export function effectiveParameters(entry) {
+  if (!entry.overrides) return entry.parameters;
+  if (!effectiveParametersCache.has(entry)) {
+    effectiveParametersCache.set(entry, { ...entry.parameters, ...entry.overrides });
+  }
+  return effectiveParametersCache.get(entry);
+}
+
+// Flat result object the page and FabricVisualizer consume
+export function entryToResult(entry) {
+  const parameters = effectiveParameters(entry);
+  const result = {};
+  PARAMETER_KEYS.forEach((key) => {
+    result[key] = parameters[key];
+  });
+  if (entry.factors) result.factors = entry.factors;
+  if (entry.rationale) result.rationale = entry.rationale;
+  return result;
+}
+
+// Newest first
+export function sortEntriesByDate(entries) {
+  return [...entries].sort((a, b) => (a.createdAt < b.createdAt ? 1 : a.createdAt > b.createdAt ? -1 : 0));
+}
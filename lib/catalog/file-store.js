@@ -0,0 +1,93 @@
+// Server-only catalog store persisted to a JSON file ({ "entries": [...] }).
+// Same async API as lib/catalog/browser-store.js. Writes are serialized and
+// go through a temp file + rename so a crash never leaves half a catalog.
+
+import fs from "fs";
+import path from "path";
+import { sortEntriesByDate } from "./entry";
+
+export const DEFAULT_CATALOG_FILE = path.join(process.cwd(), "data", "catalog.json");
+
+export function createFileCatalog(filePath = DEFAULT_CATALOG_FILE) {
+  let writeQueue = Promise.resolve();
+
+  const readEntries = async () => {
+    try {
+      const contents = await fs.promises.readFile(filePath, "utf8");
+      return JSON.parse(contents).entries || [];
+    } catch (err) {
+      if (err.code === "ENOENT") return [];
+      throw err;
+    }
+  };
+
+  const writeEntries = async (entries) => {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify({ entries }, null, 2));
+    await fs.promises.rename(tempPath, filePath);
+  };
+
+  // Run read-modify-write operations one at a time
+  const mutate = (fn) => {
+    const run = writeQueue.then(async () => {
+      const entries = await readEntries();
+      const { entries: next, value } = fn(entries);
+      if (next !== entries) await writeEntries(next);
+      return value;
+    });
+    writeQueue = run.catch(() => {});
+    return run;
+  };
+
+  return {
+    async list() {
+      return sortEntriesByDate(await readEntries());
+    },
+
+    async get(id) {
+      return (await readEntries()).find((entry) => entry.id === id) || null;
+    },
+
+    add(entry) {
+      return mutate((entries) => ({
+        entries: [...entries.filter((existing) => existing.id !== entry.id), entry],
+        value: entry,
+      }));
+    },
+
+    // Add an entry that must be new: resolves with { entry }, or with
+    // { refused: "exists" } when the id is taken and { refused: "full" } when
+    // the catalog already holds `maxEntries`, leaving the file alone
+    create(entry, { maxEntries = Infinity } = {}) {
+      return mutate((entries) => {
+        if (entries.some((existing) => existing.id === entry.id)) return { entries, value: { refused: "exists" } };
+        if (entries.length >= maxEntries) return { entries, value: { refused: "full" } };
+        return { entries: [...entries, entry], value: { entry } };
+      });
+    },
+
+    update(id, patch) {
+      return mutate((entries) => {
+        const existing = entries.find((entry) => entry.id === id);
+        if (!existing) return { entries, value: null };
+        const updated = { ...existing, ...patch, id };
+        return {
+          entries: entries.map((entry) => (entry.id === id ? updated : entry)),
+          value: updated,
+        };
+      });
+    },
+
+    remove(id) {
+      return mutate((entries) => ({
+        entries: entries.filter((entry) => entry.id !== id),
+        value: undefined,
+      }));
+    },
+
+    clear() {
+      return mutate(() => ({ entries: [], value: undefined }));
+    },
+  };
+}
@@ -0,0 +1,264 @@
+// Catalog import/export in JSON, JSONL and CSV.
+//
+//   json   { "entries": [entry, ...] } (a bare array is accepted on import)
+//   jsonl  one entry object per line
+//   csv    one row per entry; columns id, text, Fit…Support, provider,
+//          createdAt, seed, then factors.<key>, rationale.<Parameter> and
+//          overrides.<Parameter> (hand-edited values, blank when unedited).
+//          Headers are matched case-insensitively, so a sheet exported from
+//          Google Sheets with just "text, fit, mesh, …" imports as-is.
+//
+// Imported rows go through normalizeEntry, so they are validated exactly like
+// entries posted to /api/catalog and never need another model call.
+
+import { PARAMETER_KEYS, SITUATION_FACTOR_KEYS } from "../garment-schema";
+import { normalizeEntry } from "./entry";
+
+export const CATALOG_FORMATS = {
+  json: { extension: "json", mimeType: "application/json" },
+  jsonl: { extension: "jsonl", mimeType: "application/x-ndjson" },
+  csv: { extension: "csv", mimeType: "text/csv" },
+};
+
+// Provider recorded for imported entries that do not name one
+export const IMPORT_PROVIDER_ID = "import";
+
+const CSV_COLUMNS = [
+  "id",
+  "text",
+  ...PARAMETER_KEYS,
+  "provider",
+  "createdAt",
+  "seed",
+  ...SITUATION_FACTOR_KEYS.map((key) => `factors.${key}`),
+  ...PARAMETER_KEYS.map((key) => `rationale.${key}`),
+  ...PARAMETER_KEYS.map((key) => `overrides.${key}`),
+];
+
+// Accepted spellings for the text column in hand-made spreadsheets
+export const TEXT_COLUMN_ALIASES = ["text", "description", "situation", "entry"];
+
+// ---- Export ----
+
+function escapeCsvField(value) {
+  if (value === undefined || value === null) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function entryToCsvRow(entry) {
+  return CSV_COLUMNS.map((column) => {
+    if (PARAMETER_KEYS.includes(column)) return entry.parameters[column];
+    const [group, key] = column.split(".");
+    if (key) return entry[group]?.[key];
+    return entry[column];
+  });
+}
+
+export function exportCatalog(entries, format) {
+  switch (format) {
+    case "json":
+      return JSON.stringify({ entries }, null, 2);
+    case "jsonl":
+      return entries.map((entry) => JSON.stringify(entry)).join("\n") + "\n";
+    case "csv":
+      return [CSV_COLUMNS, ...entries.map(entryToCsvRow)]
+        .map((row) => row.map(escapeCsvField).join(","))
+        .join("\r\n") + "\r\n";
+    default:
+      throw new Error(`Unsupported catalog format "${format}"`);
+  }
+}
+
+// ---- Import ----
+
+// RFC 4180 parser: quoted fields may contain commas, quotes ("") and newlines
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter((cells) => cells.some((cell) => cell.trim() !== ""));
+}
+
+// Map a spreadsheet header cell to the canonical column name, or null
+function canonicalColumn(header) {
+  const name = header.replace(/^\uFEFF/, "").trim().toLowerCase();
+  if (TEXT_COLUMN_ALIASES.includes(name)) return "text";
+  return CSV_COLUMNS.find((column) => column.toLowerCase() === name) || null;
+}
+
+function csvRowToRaw(columns, cells) {
+  const raw = { parameters: {} };
+  columns.forEach((column, index) => {
+    const cell = (cells[index] ?? "").trim();
+    if (!column || cell === "") return;
+
+    if (PARAMETER_KEYS.includes(column)) {
+      // Keep non-numeric cells as-is so validation reports them
+      const number = Number(cell);
+      raw.parameters[column] = Number.isNaN(number) ? cell : number;
+    } else if (column === "seed") {
+      const number = Number(cell);
+      raw.seed = Number.isNaN(number) ? cell : number;
+    } else if (column.startsWith("factors.")) {
+      raw.factors = { ...raw.factors, [column.slice(8)]: Number(cell) };
+    } else if (column.startsWith("rationale.")) {
+      raw.rationale = { ...raw.rationale, [column.slice(10)]: cell };
+    } else if (column.startsWith("overrides.")) {
+      const number = Number(cell);
+      raw.overrides = { ...raw.overrides, [column.slice(10)]: Number.isNaN(number) ? cell : number };
+    } else {
+      raw[column] = cell;
+    }
+  });
+  return raw;
+}
+
+// Split a file into raw records, each tagged with a 1-based row/line number
+function readRecords(text, format) {
+  switch (format) {
+    case "json": {
+      const data = JSON.parse(text);
+      const records = Array.isArray(data) ? data : data?.entries;
+      if (!Array.isArray(records)) {
+        throw new Error('JSON must be an array of entries or an object with an "entries" array');
+      }
+      return records.map((raw, index) => ({ row: index + 1, raw }));
+    }
+
+    case "jsonl":
+      return text
+        .split(/\r?\n/)
+        .map((line, index) => ({ row: index + 1, line: line.trim() }))
+        .filter(({ line }) => line !== "")
+        .map(({ row, line }) => {
+          try {
+            return { row, raw: JSON.parse(line) };
+          } catch (err) {
+            return { row, parseError: `Line is not valid JSON (${err.message}).` };
+          }
+        });
+
+    case "csv": {
+      const [header, ...rows] = parseCsv(text);
+      if (!header) return [];
+      const columns = header.map(canonicalColumn);
+      if (!columns.includes("text")) {
+        throw new Error('CSV needs a "text" (or "description") column');
+      }
+      // Row numbers count the header as row 1, like a spreadsheet
+      return rows.map((cells, index) => ({ row: index + 2, raw: csvRowToRaw(columns, cells) }));
+    }
+
+    default:
+      throw new Error(`Unsupported catalog format "${format}"`);
+  }
+}
+
+export function detectFormat(fileName = "", text = "") {
+  const extension = fileName.split(".").pop().toLowerCase();
+  if (CATALOG_FORMATS[extension]) return extension;
+  if (extension === "ndjson" || extension === "txt") return "jsonl";
+
+  const trimmed = text.trimStart();
+  if (trimmed.startsWith("[")) return "json";
+  if (trimmed.startsWith("{")) {
+    // A single JSON document, or one object per line
+    try {
+      JSON.parse(trimmed);
+      return "json";
+    } catch (err) {
+      return "jsonl";
+    }
+  }
+  return "csv";
+}
+
+// Parse and validate a catalog file. Returns { entries, invalid } where
+// invalid rows carry their row number and validation errors.
+export function parseCatalog(text, format) {
+  const entries = [];
+  const invalid = [];
+
+  readRecords(text, format).forEach(({ row, raw, parseError }) => {
+    if (parseError) {
+      invalid.push({ row, errors: [parseError] });
+      return;
+    }
+    const { entry, errors } = normalizeEntry(raw, { defaultProvider: IMPORT_PROVIDER_ID });
+    if (entry) {
+      entries.push(entry);
+    } else {
+      invalid.push({ row, errors });
+    }
+  });
+
+  return { entries, invalid };
+}
+
+// ---- Duplicate detection ----
+
+const normalizeText = (text) => text.trim().replace(/\s+/g, " ").toLowerCase();
+
+const sameParameters = (a, b) =>
+  PARAMETER_KEYS.every((key) => Math.abs(a[key] - b[key]) < 1e-6);
+
+// Classify incoming entries against the existing catalog (and each other).
+// An entry is a duplicate when it has the same id, or the same text with the
+// same parameter values, as one already present.
+export function planImport(incoming, existing) {
+  const byId = new Map(existing.map((entry) => [entry.id, entry]));
+  const byText = new Map();
+  existing.forEach((entry) => {
+    const key = normalizeText(entry.text);
+    byText.set(key, [...(byText.get(key) || []), entry]);
+  });
+
+  return incoming.map((entry) => {
+    const textMatches = byText.get(normalizeText(entry.text)) || [];
+    const duplicateOf = byId.get(entry.id) || textMatches.find((other) => sameParameters(other.parameters, entry.parameters));
+
+    byId.set(entry.id, entry);
+    byText.set(normalizeText(entry.text), [...textMatches, entry]);
+
+    return {
+      entry,
+      status: duplicateOf ? "duplicate" : "new",
+      duplicateOf: duplicateOf ? duplicateOf.id : null,
+    };
+  });
+}
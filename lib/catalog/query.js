@@ -0,0 +1,82 @@
+// Filtering and sorting for the catalog panel ("multiple ways of seeing").
+
+import { PARAMETER_KEYS, PARAMETER_MAX, PARAMETER_MIN } from "../garment-schema";
+import { effectiveParameters, sortEntriesByDate } from "./entry";
+
+export const SORT_OPTIONS = [
+  { value: "newest", label: "Newest" },
+  { value: "oldest", label: "Oldest" },
+  { value: "dominant", label: "Dominant parameter" },
+  ...PARAMETER_KEYS.map((key) => ({ value: key, label: key })),
+];
+
+export function createDefaultQuery() {
+  const ranges = {};
+  PARAMETER_KEYS.forEach((key) => {
+    ranges[key] = [PARAMETER_MIN, PARAMETER_MAX];
+  });
+  return { search: "", ranges, dominant: "any", sort: "newest", descending: true };
+}
+
+export function isDefaultQuery(query) {
+  return (
+    !query.search.trim() &&
+    query.dominant === "any" &&
+    PARAMETER_KEYS.every(
+      (key) => query.ranges[key][0] <= PARAMETER_MIN && query.ranges[key][1] >= PARAMETER_MAX
+    )
+  );
+}
+
+// The parameter with the highest value; ties go to the earlier schema key
+export function dominantParameter(parameters) {
+  return PARAMETER_KEYS.reduce((best, key) => (parameters[key] > parameters[best] ? key : best));
+}
+
+export function filterEntries(entries, query) {
+  const terms = query.search.trim().toLowerCase().split(/\s+/).filter(Boolean);
+
+  return entries.filter((entry) => {
+    if (terms.length > 0) {
+      const text = entry.text.toLowerCase();
+      if (!terms.every((term) => text.includes(term))) return false;
+    }
+    // Hand-edited values count, as they are what the entry now shows
+    const parameters = effectiveParameters(entry);
+    if (query.dominant !== "any" && dominantParameter(parameters) !== query.dominant) {
+      return false;
+    }
+    return PARAMETER_KEYS.every((key) => {
+      const [min, max] = query.ranges[key];
+      const value = parameters[key];
+      return value >= min && value <= max;
+    });
+  });
+}
+
+export function sortEntries(entries, { sort, descending }) {
+  if (sort === "newest") return sortEntriesByDate(entries);
+  if (sort === "oldest") return sortEntriesByDate(entries).reverse();
+
+  const direction = descending ? -1 : 1;
+
+  if (sort === "dominant") {
+    // Group by dominant parameter (schema order), strongest first within a group
+    return [...entries].sort((a, b) => {
+      const parametersA = effectiveParameters(a);
+      const parametersB = effectiveParameters(b);
+      const dominantA = dominantParameter(parametersA);
+      const dominantB = dominantParameter(parametersB);
+      if (dominantA !== dominantB) {
+        return PARAMETER_KEYS.indexOf(dominantA) - PARAMETER_KEYS.indexOf(dominantB);
+      }
+      return direction * (parametersA[dominantA] - parametersB[dominantB]);
+    });
+  }
+
+  return [...entries].sort((a, b) => direction * (effectiveParameters(a)[sort] - effectiveParameters(b)[sort]));
+}
+
+export function queryEntries(entries, query) {
+  return sortEntries(filterEntries(entries, query), query);
+}
@@ -0,0 +1,28 @@
+// Helpers for comparing two catalog entries side by side or overlaid.
+
+import { GARMENT_PARAMETERS } from "./garment-schema";
+
+// Tints for the two fabrics in overlay mode, also used to key the labels
+export const COMPARE_TINTS = {
+  a: "#2f6fdf",
+  b: "#e0592a",
+};
+
+export const COMPARE_MODES = ["split", "overlay", "blend"];
+
+// One row per parameter; delta is B − A
+export function diffParameters(a, b) {
+  return GARMENT_PARAMETERS.map((param) => ({
+    key: param.key,
+    label: param.label,
+    a: a[param.key],
+    b: b[param.key],
+    delta: b[param.key] - a[param.key],
+  }));
+}
+
+export function formatDelta(delta) {
+  const rounded = Math.round(delta * 100) / 100;
+  if (rounded === 0) return "0.00";
+  return `${rounded > 0 ? "+" : "−"}${Math.abs(rounded).toFixed(2)}`;
+}
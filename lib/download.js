@@ -0,0 +1,24 @@
+// Browser helpers for saving generated files
+
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  // Give the browser a moment to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+export function downloadText(text, fileName, mimeType = "text/plain") {
+  downloadBlob(new Blob([text], { type: `${mimeType};charset=utf-8` }), fileName);
+}
+
+// e.g. "catalog-2025-01-31-1405"
+export function timestampedName(prefix, extension, date = new Date()) {
+  const pad = (value) => String(value).padStart(2, "0");
+  const stamp = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}`;
+  return `${prefix}-${stamp}.${extension}`;
+}
@@ -0,0 +1,87 @@
+// Error codes shared by /api/analyze, the client-side analyzer and the page.
+// The server sends { error, code, details } and the page renders by code.
+
+export const ERROR_CODES = {
+  INVALID_MODEL_OUTPUT: "INVALID_MODEL_OUTPUT",
+  PROVIDER_NOT_CONFIGURED: "PROVIDER_NOT_CONFIGURED",
+  ANALYSIS_FAILED: "ANALYSIS_FAILED",
+  INVALID_ENTRY: "INVALID_ENTRY",
+  INVALID_PERMALINK: "INVALID_PERMALINK",
+  INVALID_BATCH: "INVALID_BATCH",
+  INVALID_REQUEST: "INVALID_REQUEST",
+  UNAUTHORIZED: "UNAUTHORIZED",
+  REQUEST_TOO_LARGE: "REQUEST_TOO_LARGE",
+  TEXT_TOO_LONG: "TEXT_TOO_LONG",
+  UNSUPPORTED_MEDIA_TYPE: "UNSUPPORTED_MEDIA_TYPE",
+  RATE_LIMITED: "RATE_LIMITED",
+  ENTRY_EXISTS: "ENTRY_EXISTS",
+  CATALOG_FULL: "CATALOG_FULL",
+};
+
+const ERROR_MESSAGES = {
+  [ERROR_CODES.INVALID_MODEL_OUTPUT]: "The model returned values that could not be read, even after asking it to correct them. Try rephrasing the description.",
+  [ERROR_CODES.ANALYSIS_FAILED]: "Analysis failed.",
+  [ERROR_CODES.INVALID_PERMALINK]: "This link could not be read. It may have been cut short when it was copied.",
+};
+
+export class AnalysisError extends Error {
+  constructor(code, message, details) {
+    super(message || ERROR_MESSAGES[code] || "Analysis failed.");
+    this.name = "AnalysisError";
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Rebuild an AnalysisError from a { error, code, details } response body
+export function analysisErrorFromResponse(body) {
+  return new AnalysisError(
+    body?.code || ERROR_CODES.ANALYSIS_FAILED,
+    body?.error,
+    body?.details
+  );
+}
+
+// HTTP status for errors that are reported as they are. Request-limit
+// errors (lib/request-limits.js) carry their own message, which the page
+// shows as is.
+const ERROR_STATUS = {
+  [ERROR_CODES.PROVIDER_NOT_CONFIGURED]: 500,
+  [ERROR_CODES.INVALID_MODEL_OUTPUT]: 502,
+  [ERROR_CODES.INVALID_BATCH]: 400,
+  [ERROR_CODES.INVALID_REQUEST]: 400,
+  [ERROR_CODES.UNAUTHORIZED]: 401,
+  [ERROR_CODES.REQUEST_TOO_LARGE]: 413,
+  [ERROR_CODES.TEXT_TOO_LONG]: 413,
+  [ERROR_CODES.UNSUPPORTED_MEDIA_TYPE]: 415,
+  [ERROR_CODES.RATE_LIMITED]: 429,
+  [ERROR_CODES.ENTRY_EXISTS]: 409,
+  [ERROR_CODES.CATALOG_FULL]: 507,
+};
+
+// Status and { error, code, details } body for an error thrown while
+// analyzing, used for whole requests and for each item of a batch. Anything
+// unexpected becomes ANALYSIS_FAILED with its message as the details.
+export function errorResponse(error) {
+  if (error instanceof AnalysisError && ERROR_STATUS[error.code]) {
+    return {
+      status: ERROR_STATUS[error.code],
+      body: { error: error.message, code: error.code, details: error.details },
+    };
+  }
+  return {
+    status: 500,
+    body: {
+      error: ERROR_MESSAGES[ERROR_CODES.ANALYSIS_FAILED],
+      code: ERROR_CODES.ANALYSIS_FAILED,
+      details: error?.message,
+    },
+  };
+}
+
+export function describeError(error) {
+  if (error?.code && ERROR_MESSAGES[error.code]) {
+    return ERROR_MESSAGES[error.code];
+  }
+  return error?.message || ERROR_MESSAGES[ERROR_CODES.ANALYSIS_FAILED];
+}
@@ -0,0 +1,118 @@
+// The "breathing" wave that keeps a fabric gently moving, as a vertex shader
+// patch for the built-in three.js materials. Everything lives in uniforms:
+// `uWaveSpeed` and `uAnimationStrength` set the overall pace and size, each
+// fabric's motion uniforms give it its own character (see motion.js), and
+// `uTime` is the only value that moves from frame to frame.
+
+export const DEFAULT_WAVE_SPEED = 2.0;
+export const DEFAULT_ANIMATION_STRENGTH = 0.75;
+
+// Uniforms for one or more fabrics. Materials patched with the same object
+// share it, so one write animates every fabric that uses it.
+export function createBreathingUniforms({
+  waveSpeed = DEFAULT_WAVE_SPEED,
+  animationStrength = DEFAULT_ANIMATION_STRENGTH,
+} = {}) {
+  return {
+    uTime: { value: 0 },
+    uWaveSpeed: { value: waveSpeed },
+    uAnimationStrength: { value: animationStrength },
+  };
+}
+
+export function setBreathing(uniforms, { waveSpeed, animationStrength }) {
+  if (waveSpeed !== undefined) uniforms.uWaveSpeed.value = waveSpeed;
+  if (animationStrength !== undefined) uniforms.uAnimationStrength.value = animationStrength;
+}
+
+// Per-fabric uniforms for a motion from motionForParameters
+export function createMotionUniforms({ amplitude, wavelength, turbulence, inertia }) {
+  return {
+    uAmplitude: { value: amplitude },
+    uWavelength: { value: wavelength },
+    uTurbulence: { value: turbulence },
+    uInertia: { value: inertia },
+  };
+}
+
+// wave1..wave3 mix into a mostly vertical offset, with a little sideways
+// drift; the flutter is a faster, shorter ripple weighted by turbulence.
+// Positions are in the fabric's local space, before the Fit scale. Every
+// rate of `t` is a multiple of 1/4, so the whole motion repeats after
+// BREATHING_PHASE_PERIOD (see breathingPeriod).
+const BREATHING_GLSL = /* glsl */ `
+uniform float uTime;
+uniform float uWaveSpeed;
+uniform float uAnimationStrength;
+uniform float uAmplitude;
+uniform float uWavelength;
+uniform float uTurbulence;
+uniform float uInertia;
+
+vec3 breathingOffset( vec3 point ) {
+  vec3 p = point / uWavelength;
+  float t = uTime * uWaveSpeed / uInertia;
+  float strength = uAnimationStrength * uAmplitude;
+  float wave1 = sin( p.x * 0.3 + t ) * cos( p.z * 0.25 + t * 0.75 );
+  float wave2 = cos( p.x * 0.2 + t * 0.5 ) * sin( p.z * 0.35 + t * 1.25 );
+  float wave3 = sin( ( p.x + p.z ) * 0.15 + t * 0.75 );
+  float flutter = sin( p.x * 1.7 + t * 3.0 ) * sin( p.z * 1.3 - t * 2.25 ) * uTurbulence;
+  float yOffset = ( wave1 * 0.4 + wave2 * 0.3 + wave3 * 0.3 + flutter * 0.2 ) * strength;
+  return vec3( wave1 * strength * 0.1, yOffset, wave2 * strength * 0.1 );
+}
+`;
+
+// Replaces three's project_vertex chunk. Instances (the support spheres) move
+// rigidly with their centre instead of being bent.
+const BREATHING_PROJECT_VERTEX = /* glsl */ `
+vec4 mvPosition = vec4( transformed, 1.0 );
+#ifdef USE_INSTANCING
+  mvPosition = instanceMatrix * mvPosition;
+  mvPosition.xyz += breathingOffset( instanceMatrix[ 3 ].xyz );
+#else
+  mvPosition.xyz += breathingOffset( mvPosition.xyz );
+#endif
+mvPosition = modelViewMatrix * mvPosition;
+gl_Position = projectionMatrix * mvPosition;
+`;
+
+// Patch a built-in material (standard, basic, line basic) to breathe with
+// `uniforms`: the breathing uniforms plus a fabric's motion uniforms.
+// Returns the material.
+export function addBreathing(material, uniforms) {
+  material.onBeforeCompile = (shader) => {
+    Object.assign(shader.uniforms, uniforms);
+    shader.vertexShader = shader.vertexShader
+      .replace("#include <common>", `#include <common>\n${BREATHING_GLSL}`)
+      .replace("#include <project_vertex>", BREATHING_PROJECT_VERTEX);
+  };
+  return material;
+}
+
+// Phase after which every term of the wave is back where it started: the
+// rates of `t` are all multiples of 1/4
+export const BREATHING_PHASE_PERIOD = 8 * Math.PI;
+
+// Breathing time (uTime) after which a fabric with these uniforms, shared
+// and motion ones, looks exactly as it did: the phase runs at
+// uWaveSpeed / uInertia per unit of time
+export function breathingPeriod(uniforms) {
+  return (BREATHING_PHASE_PERIOD * uniforms.uInertia.value) / uniforms.uWaveSpeed.value;
+}
+
+// CPU copy of the shader's breathingOffset, for baking a frame into exported
+// geometry. `point` is {x, y, z} in the same space; keep it in step with
+// BREATHING_GLSL.
+export function breathingOffset(point, uniforms) {
+  const value = (name) => uniforms[name].value;
+  const x = point.x / value("uWavelength");
+  const z = point.z / value("uWavelength");
+  const t = value("uTime") * value("uWaveSpeed") / value("uInertia");
+  const strength = value("uAnimationStrength") * value("uAmplitude");
+  const wave1 = Math.sin(x * 0.3 + t) * Math.cos(z * 0.25 + t * 0.75);
+  const wave2 = Math.cos(x * 0.2 + t * 0.5) * Math.sin(z * 0.35 + t * 1.25);
+  const wave3 = Math.sin((x + z) * 0.15 + t * 0.75);
+  const flutter = Math.sin(x * 1.7 + t * 3.0) * Math.sin(z * 1.3 - t * 2.25) * value("uTurbulence");
+  const yOffset = (wave1 * 0.4 + wave2 * 0.3 + wave3 * 0.3 + flutter * 0.2) * strength;
+  return { x: wave1 * strength * 0.1, y: yOffset, z: wave2 * strength * 0.1 };
+}
@@ -0,0 +1,351 @@
+// Fabric geometry builder shared by FabricVisualizer and the catalog
+// thumbnails: turns the five garment parameters into a lattice of cube
+// layers with outlines, diagonals, face crosses and support spheres, plus
+// the "breathing" deformation.
+//
+// However dense the lattice, it is drawn with three objects: one merged mesh
+// for the cube faces, one merged LineSegments for every outline, diagonal and
+// face cross, and one InstancedMesh for the support spheres. Per-cube colours
+// live in vertex / instance colour attributes so each object has a single
+// material, and the breathing wave runs in the vertex shader (see
+// breathing.js).
+
+import { normalizeParameters } from "../garment-schema";
+import { createRandom, seedFromValues } from "../random";
+import { addBreathing, createBreathingUniforms, createMotionUniforms } from "./breathing";
+import { DEFAULT_MAPPING_PROFILE, getMappingProfile, mapParametersToGeometry } from "./mapping";
+import { motionForParameters } from "./motion";
+
+// Cube corners as [dx, dz, dLayer] from the cube's lattice origin
+// 0=bottom-front-left, 1=bottom-front-right, 2=bottom-back-right, 3=bottom-back-left
+// 4=top-front-left, 5=top-front-right, 6=top-back-right, 7=top-back-left
+const CORNERS = [
+  [0, 0, 0], [1, 0, 0], [1, 1, 0], [0, 1, 0],
+  [0, 0, 1], [1, 0, 1], [1, 1, 1], [0, 1, 1],
+];
+
+// Cube faces (6 faces, each with 2 triangles)
+const FACE_TRIANGLES = [
+  [0, 1, 2, 0, 2, 3], // Bottom
+  [4, 7, 6, 4, 6, 5], // Top
+  [0, 4, 5, 0, 5, 1], // Front
+  [2, 6, 7, 2, 7, 3], // Back
+  [1, 5, 6, 1, 6, 2], // Right
+  [3, 7, 4, 3, 4, 0], // Left
+];
+
+const EDGES = [
+  [0, 1], [1, 2], [2, 3], [3, 0], // Bottom face
+  [4, 5], [5, 6], [6, 7], [7, 4], // Top face
+  [0, 4], [1, 5], [2, 6], [3, 7], // Vertical
+];
+
+// The diagonal each face is triangulated along. The outline used to be an
+// EdgesGeometry of the bent cube, which always showed these as well.
+const FACE_SPLITS = [[0, 2], [4, 6], [0, 5], [2, 7], [1, 6], [3, 4]];
+
+// Space diagonals, two or four of them depending on airflow
+const DIAGONALS = [
+  [0, 6], // bottom-front-left to top-back-right
+  [1, 7], // bottom-front-right to top-back-left
+  [2, 4], // bottom-back-right to top-front-left
+  [3, 5], // bottom-back-left to top-front-right
+];
+
+// Face X patterns, top and bottom first
+const FACE_CROSSES = [
+  [0, 2], [1, 3], // Bottom
+  [4, 6], [5, 7], // Top
+  [0, 5], [1, 4], // Front
+  [2, 7], [3, 6], // Back
+  [1, 6], [2, 5], // Right
+  [3, 4], [0, 7], // Left
+];
+
+// Colour based on lattice position for the gradient
+// Uses (x + z + layer) so adjacent cubes in any dimension have the same hue
+function gradientColor(THREE, x, z, layer, gridWidth, gridHeight, lightness) {
+  // Give layer more weight so it has visible impact
+  // x and z typically range 0-8 or more, layer is usually 0-4, so we weight layer more
+  const layerWeight = Math.max(gridWidth, gridHeight); // Match the max of x or z range
+  // Reduce xy variation by scaling down x and z contribution
+  const xyScale = 0.6;
+  const sum = (x + z) * xyScale + (layer * layerWeight);
+
+  // Multiply by factor to create larger hue jumps between adjacent cubes
+  const sumMultiplier = 10;
+  const adjustedSum = sum * sumMultiplier;
+
+  // Use modulo to wrap around the hue range, creating distinct color bands
+  const hue = adjustedSum % 360;
+  const saturation = 0.6; // Moderate saturation
+
+  const color = new THREE.Color();
+  color.setHSL(hue / 360, saturation, lightness);
+  return color;
+}
+
+const CUBE_LIGHTNESS = 0.5; // Medium lightness for cubes
+const OUTLINE_LIGHTNESS = 0.3; // Darker lightness for outlines
+
+// Build the fabric for a parameter set. Returns the group to add to a scene,
+// `update(time)` to apply the breathing animation for a given time, and
+// `dispose()` to free geometries and materials. `mappingProfile` names the parameter-to-geometry mapping (see
+// mapping.js); `seed` drives every random choice, so the same seed and
+// parameters always give the same fabric (without one, the parameters are
+// the seed); pass `breathing` (from createBreathingUniforms) to share the
+// animation uniforms with other fabrics. Missing parameters fall back to
+// their defaults with a warning, unless `allowPartial` says they are expected
+// (a preview of an answer still coming in).
+export function buildFabric(
+  THREE,
+  parameters,
+  { mappingProfile = DEFAULT_MAPPING_PROFILE, seed, breathing = createBreathingUniforms(), allowPartial = false } = {}
+) {
+  const { values, missing } = normalizeParameters(parameters);
+  if (missing.length > 0 && !allowPartial) {
+    console.warn('Fabric received incomplete parameters, missing:', missing.join(', '));
+  }
+  const {
+    scale,
+    gridSize,
+    numLayers,
+    deformationStrength,
+    numDiagonals,
+    numFaceCrosses,
+    supportSpheres: sphereCoverage,
+  } = mapParametersToGeometry(values, getMappingProfile(mappingProfile));
+  const random = createRandom(seed ?? seedFromValues("", values));
+
+  const cubeSize = 1.0;
+  const gridWidth = gridSize;
+  const gridHeight = gridSize;
+  const cubeCount = gridWidth * gridHeight * numLayers;
+
+  // Base vertex grid (one extra vertex per dimension for shared corners),
+  // deformed by the Support wave
+  const vertexGrid = [];
+  for (let z = 0; z <= gridHeight; z++) {
+    for (let x = 0; x <= gridWidth; x++) {
+      const baseX = (x - gridWidth / 2) * cubeSize;
+      const baseZ = (z - gridHeight / 2) * cubeSize;
+
+      const waveX = Math.sin(baseX * 0.5) * Math.cos(baseZ * 0.3) * deformationStrength;
+      const waveZ = Math.cos(baseX * 0.4) * Math.sin(baseZ * 0.6) * deformationStrength;
+      const waveY = Math.sin(baseX * 0.3 + baseZ * 0.4) * deformationStrength * 0.5;
+
+      vertexGrid.push({ x: baseX + waveX, y: waveY, z: baseZ + waveZ });
+    }
+  }
+
+  // Each layer's top face is the next layer's bottom face, so a lattice
+  // point is a base grid point lifted by whole cube heights
+  const writeLatticePoint = (target, offset, x, z, level) => {
+    const base = vertexGrid[z * (gridWidth + 1) + x];
+    target[offset] = base.x;
+    target[offset + 1] = base.y + level * cubeSize;
+    target[offset + 2] = base.z;
+  };
+
+  // Airflow opens the structure up with diagonals and face crosses
+  const cubeSegments = [
+    ...EDGES,
+    ...FACE_SPLITS,
+    ...DIAGONALS.slice(0, numDiagonals),
+    ...FACE_CROSSES.slice(0, numFaceCrosses),
+  ];
+
+  // Outline opacity - less transparent than cubes (cubes are 0.05)
+  const baseOutlineOpacity = 0.5 + values.Airflow * 0.4;
+
+  const facePositions = new Float32Array(cubeCount * 8 * 3);
+  const faceColors = new Float32Array(cubeCount * 8 * 3);
+  const faceIndices = new Uint32Array(cubeCount * 36);
+  const linePositions = new Float32Array(cubeCount * cubeSegments.length * 6);
+  const lineColors = new Float32Array(cubeCount * cubeSegments.length * 6);
+
+  // Support spheres sit on lattice points and edge midpoints, which
+  // neighbouring cubes share, so each one is placed once and takes the colour
+  // of the first cube that asks for it
+  const spheres = new Map();
+  const point = new Float32Array(3);
+  const addSphere = (key, points, radiusScale, color) => {
+    if (spheres.has(key)) return;
+    const position = new THREE.Vector3();
+    points.forEach(([x, z, level]) => {
+      writeLatticePoint(point, 0, x, z, level);
+      position.add(new THREE.Vector3().fromArray(point).divideScalar(points.length));
+    });
+    spheres.set(key, { position, radiusScale, color });
+  };
+
+  const corners = new Float32Array(8 * 3);
+  let cubeIndex = 0;
+  for (let layer = 0; layer < numLayers; layer++) {
+    for (let z = 0; z < gridHeight; z++) {
+      for (let x = 0; x < gridWidth; x++) {
+        CORNERS.forEach(([dx, dz, dLayer], i) => {
+          writeLatticePoint(corners, i * 3, x + dx, z + dz, layer + dLayer);
+        });
+        const cubeColor = gradientColor(THREE, x, z, layer, gridWidth, gridHeight, CUBE_LIGHTNESS);
+        const outlineColor = gradientColor(THREE, x, z, layer, gridWidth, gridHeight, OUTLINE_LIGHTNESS);
+
+        // Faces: 8 vertices per cube so every cube keeps its own colour
+        const vertexBase = cubeIndex * 8;
+        facePositions.set(corners, vertexBase * 3);
+        for (let i = 0; i < 8; i++) {
+          cubeColor.toArray(faceColors, (vertexBase + i) * 3);
+        }
+        FACE_TRIANGLES.forEach((face, faceIdx) => {
+          face.forEach((cornerIdx, i) => {
+            faceIndices[cubeIndex * 36 + faceIdx * 6 + i] = vertexBase + cornerIdx;
+          });
+        });
+
+        // Outlines, diagonals and face crosses
+        cubeSegments.forEach(([startIdx, endIdx], segmentIdx) => {
+          const offset = (cubeIndex * cubeSegments.length + segmentIdx) * 6;
+          linePositions.set(corners.subarray(startIdx * 3, startIdx * 3 + 3), offset);
+          linePositions.set(corners.subarray(endIdx * 3, endIdx * 3 + 3), offset + 3);
+          outlineColor.toArray(lineColors, offset);
+          outlineColor.toArray(lineColors, offset + 3);
+        });
+
+        // Support spheres based on support parameter
+        const cornerPoint = (cornerIdx) => {
+          const [dx, dz, dLayer] = CORNERS[cornerIdx];
+          return [x + dx, z + dz, layer + dLayer];
+        };
+        const addCornerSphere = (cornerIdx) => {
+          const cornerAt = cornerPoint(cornerIdx);
+          addSphere(cornerAt.join(","), [cornerAt], 1, outlineColor);
+        };
+
+        if (sphereCoverage === "half") {
+          // 50% of cube vertices (randomly select 4 out of 8)
+          const vertexIndices = [0, 1, 2, 3, 4, 5, 6, 7];
+          // Fisher-Yates shuffle, seeded so the selection is reproducible
+          for (let i = vertexIndices.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [vertexIndices[i], vertexIndices[j]] = [vertexIndices[j], vertexIndices[i]];
+          }
+          vertexIndices.slice(0, 4).forEach(addCornerSphere);
+        } else if (sphereCoverage === "all") {
+          // All 8 cube vertices, plus half-size spheres on the midpoints of all 12 edges
+          CORNERS.forEach((_, cornerIdx) => addCornerSphere(cornerIdx));
+          EDGES.forEach(([startIdx, endIdx]) => {
+            const ends = [cornerPoint(startIdx), cornerPoint(endIdx)];
+            const key = ends.map((end) => end.join(",")).sort().join("|");
+            addSphere(key, ends, 0.5, outlineColor);
+          });
+        }
+
+        cubeIndex++;
+      }
+    }
+  }
+
+  // Shared pace and time, plus this fabric's own motion character
+  const uniforms = { ...breathing, ...createMotionUniforms(motionForParameters(values)) };
+
+  const faceGeometry = new THREE.BufferGeometry();
+  faceGeometry.setAttribute("position", new THREE.BufferAttribute(facePositions, 3));
+  faceGeometry.setAttribute("color", new THREE.BufferAttribute(faceColors, 3));
+  faceGeometry.setIndex(new THREE.BufferAttribute(faceIndices, 1));
+  faceGeometry.computeVertexNormals();
+  const faceMaterial = addBreathing(new THREE.MeshStandardMaterial({
+    vertexColors: true,
+    metalness: 0.3,
+    roughness: 0.7,
+    side: THREE.DoubleSide,
+    transparent: true,
+    opacity: 0.05,
+    // The faces are barely visible; don't let them hide the lines behind
+    depthWrite: false,
+  }), uniforms);
+  const faces = new THREE.Mesh(faceGeometry, faceMaterial);
+
+  const lineGeometry = new THREE.BufferGeometry();
+  lineGeometry.setAttribute("position", new THREE.BufferAttribute(linePositions, 3));
+  lineGeometry.setAttribute("color", new THREE.BufferAttribute(lineColors, 3));
+  const lineMaterial = addBreathing(new THREE.LineBasicMaterial({
+    vertexColors: true,
+    opacity: baseOutlineOpacity,
+    transparent: true,
+  }), uniforms);
+  const lines = new THREE.LineSegments(lineGeometry, lineMaterial);
+
+  const sphereGeometry = new THREE.SphereGeometry(0.05, 8, 8);
+  const sphereMaterial = addBreathing(new THREE.MeshStandardMaterial({
+    metalness: 0.3,
+    roughness: 0.7,
+    transparent: true,
+    opacity: baseOutlineOpacity,
+  }), uniforms);
+  const supportSpheres = new THREE.InstancedMesh(sphereGeometry, sphereMaterial, spheres.size);
+  const matrix = new THREE.Matrix4();
+  [...spheres.values()].forEach((sphere, i) => {
+    matrix.makeScale(sphere.radiusScale, sphere.radiusScale, sphere.radiusScale);
+    matrix.setPosition(sphere.position);
+    supportSpheres.setMatrixAt(i, matrix);
+    supportSpheres.setColorAt(i, sphere.color);
+  });
+  supportSpheres.visible = spheres.size > 0;
+
+  // Scale the whole lattice by Fit
+  const layerGroup = new THREE.Group();
+  layerGroup.scale.set(scale, scale, scale);
+  [faces, lines, supportSpheres].forEach((object) => {
+    // The wave moves vertices outside the static bounding volumes
+    object.frustumCulled = false;
+    layerGroup.add(object);
+  });
+
+  const fabricGroup = new THREE.Group();
+  fabricGroup.add(layerGroup);
+
+  const materials = [faceMaterial, lineMaterial, sphereMaterial];
+
+  const update = (time) => {
+    breathing.uTime.value = time;
+  };
+
+  const dispose = () => {
+    [faceGeometry, lineGeometry, sphereGeometry].forEach((geometry) => geometry.dispose());
+    materials.forEach((material) => material.dispose());
+    supportSpheres.dispose();
+  };
+
+  return {
+    group: fabricGroup,
+    values,
+    // Breathing uniforms as the shaders see them, for baking a frame on the CPU
+    uniforms,
+    update,
+    dispose,
+    cubeCount,
+  };
+}
+
+// Pull every colour of a built fabric toward one colour, keeping some of the
+// gradient so the layers stay readable. Used to tell two fabrics apart when
+// they share a scene.
+export function tintFabric(THREE, fabric, color, amount = 0.75) {
+  const tint = new THREE.Color(color);
+  const current = new THREE.Color();
+  const lerpColors = (attribute) => {
+    for (let i = 0; i < attribute.count; i++) {
+      current.fromBufferAttribute(attribute, i).lerp(tint, amount);
+      attribute.setXYZ(i, current.r, current.g, current.b);
+    }
+    attribute.needsUpdate = true;
+  };
+
+  fabric.group.traverse((child) => {
+    if (child.isInstancedMesh) {
+      if (child.instanceColor) lerpColors(child.instanceColor);
+    } else if (child.geometry?.attributes.color) {
+      lerpColors(child.geometry.attributes.color);
+    }
+  });
+}
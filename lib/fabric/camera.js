@@ -0,0 +1,268 @@
+// Camera for the fabric views: an orbit around the fabric plus a pan, kept in
+// a plain view object that several canvases can share and a permalink can
+// store:
+//
+//   rotationX   tilt above (+) or below (−) the default isometric angle
+//   rotationY   turn around the vertical axis
+//   zoom        1 at the default distance, from ZOOM_RANGE.min to .max
+//   panX, panY  shift of the orbit centre along the screen axes (world units)
+//
+// createCameraControls drives a view from pointer (mouse, touch, pen),
+// wheel and keyboard input, with inertia after a drag and eased moves to
+// presets.
+
+// The default camera looks from (1, 0.8, 1) towards the centre
+const BASE_AZIMUTH = Math.PI / 4;
+const BASE_ELEVATION = Math.atan2(0.8, Math.SQRT2);
+// Just short of straight up/down, where lookAt loses its orientation
+const MAX_ELEVATION = Math.PI / 2 - 0.001;
+
+export const ZOOM_RANGE = { min: 0.3, max: 3.0 };
+
+export const DEFAULT_VIEW = { rotationX: 0, rotationY: 0, zoom: 1, panX: 0, panY: 0 };
+
+// Presets set the angle and re-centre the view; zoom is left alone
+export const CAMERA_PRESETS = {
+  top: { label: "Top", rotationX: MAX_ELEVATION - BASE_ELEVATION, rotationY: 0 },
+  side: { label: "Side", rotationX: -BASE_ELEVATION, rotationY: -BASE_AZIMUTH },
+  isometric: { label: "Iso", rotationX: 0, rotationY: 0 },
+};
+
+const ROTATE_PER_PIXEL = 0.01;
+const ZOOM_PER_WHEEL_PIXEL = 0.001;
+const KEY_ROTATE_STEP = 0.15;
+const KEY_PAN_PIXELS = 40;
+const KEY_ZOOM_FACTOR = 1.15;
+// Inertia: rotation speed falls by e every 1/DAMPING seconds
+const DAMPING = 4;
+// A drag released after resting this long (ms) does not coast
+const COAST_WINDOW = 80;
+// Share of the remaining distance covered per second when easing to a goal
+const EASE_RATE = 10;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+const clampRotationX = (value) => clamp(value, -MAX_ELEVATION - BASE_ELEVATION, MAX_ELEVATION - BASE_ELEVATION);
+
+const clampZoom = (value) => clamp(value, ZOOM_RANGE.min, ZOOM_RANGE.max);
+
+// A complete view from a partial one (e.g. one saved before pan existed)
+export function createView(view = {}) {
+  return { ...DEFAULT_VIEW, ...view };
+}
+
+// Place `camera` for `view`, orbiting at `distance` (the distance at zoom 1)
+export function applyView(THREE, camera, view, distance) {
+  const elevation = clamp(BASE_ELEVATION + view.rotationX, -MAX_ELEVATION, MAX_ELEVATION);
+  const azimuth = BASE_AZIMUTH + view.rotationY;
+  const offset = new THREE.Vector3(
+    Math.cos(elevation) * Math.cos(azimuth),
+    Math.sin(elevation),
+    Math.cos(elevation) * Math.sin(azimuth)
+  );
+
+  // Screen axes at this angle, for the pan
+  const right = new THREE.Vector3().crossVectors(offset, camera.up).negate().normalize();
+  const up = new THREE.Vector3().crossVectors(right, offset).negate().normalize();
+  const target = right.multiplyScalar(view.panX).addScaledVector(up, view.panY);
+
+  camera.position.copy(target).addScaledVector(offset, distance / view.zoom);
+  camera.lookAt(target);
+}
+
+// Input handling for one canvas. `getDistance` returns the orbit distance at
+// zoom 1 and `camera` is only read for its field of view, to turn pixels into
+// pan distance. Call update(delta) once per frame; it returns the view.
+export function createCameraControls(element, view, { camera, getDistance }) {
+  const pointers = new Map(); // pointerId → last { x, y }
+  let mode = "rotate";
+  let velocity = { x: 0, y: 0 }; // radians per second
+  let lastMoveTime = 0;
+  let goal = null; // partial view being eased towards
+
+  // World units per screen pixel at the orbit centre
+  const panScale = () => {
+    const distance = getDistance() / view.zoom;
+    return (2 * distance * Math.tan((camera.fov * Math.PI) / 360)) / (element.clientHeight || 1);
+  };
+
+  // Angles in radians
+  const turn = (x, y) => {
+    view.rotationY += x;
+    view.rotationX = clampRotationX(view.rotationX + y);
+  };
+
+  // Content follows the pointer, so the centre moves the other way
+  const pan = (dx, dy) => {
+    const scale = panScale();
+    view.panX -= dx * scale;
+    view.panY += dy * scale;
+  };
+
+  const setGoal = (changes) => {
+    velocity = { x: 0, y: 0 };
+    goal = { ...(goal || {}), ...changes };
+  };
+
+  const reset = () => setGoal(DEFAULT_VIEW);
+
+  const showPreset = (name) => {
+    const preset = CAMERA_PRESETS[name];
+    if (!preset) return;
+    // Turn the short way round to the preset's angle
+    const turns = Math.round((view.rotationY - preset.rotationY) / (Math.PI * 2));
+    setGoal({
+      rotationX: preset.rotationX,
+      rotationY: preset.rotationY + turns * Math.PI * 2,
+      panX: 0,
+      panY: 0,
+    });
+  };
+
+  const midpointAndSpread = () => {
+    const [a, b] = [...pointers.values()];
+    return {
+      x: (a.x + b.x) / 2,
+      y: (a.y + b.y) / 2,
+      spread: Math.hypot(a.x - b.x, a.y - b.y),
+    };
+  };
+
+  const onPointerDown = (e) => {
+    element.setPointerCapture?.(e.pointerId);
+    pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    // Right or middle button, or Shift, pans with a mouse
+    mode = e.pointerType === "mouse" && (e.button === 1 || e.button === 2 || e.shiftKey) ? "pan" : "rotate";
+    velocity = { x: 0, y: 0 };
+    goal = null;
+    lastMoveTime = performance.now();
+  };
+
+  const onPointerMove = (e) => {
+    const last = pointers.get(e.pointerId);
+    if (!last) return;
+
+    if (pointers.size === 2) {
+      // Pinch to zoom, move both fingers to pan
+      const before = midpointAndSpread();
+      pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+      const after = midpointAndSpread();
+      if (before.spread > 0) view.zoom = clampZoom(view.zoom * (after.spread / before.spread));
+      pan(after.x - before.x, after.y - before.y);
+      return;
+    }
+
+    const dx = e.clientX - last.x;
+    const dy = e.clientY - last.y;
+    pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    if (pointers.size > 2) return;
+
+    if (mode === "pan") {
+      pan(dx, dy);
+      return;
+    }
+    turn(dx * ROTATE_PER_PIXEL, dy * ROTATE_PER_PIXEL);
+    // Smoothed drag speed, carried on as inertia after release
+    const now = performance.now();
+    const seconds = Math.max(0.001, (now - lastMoveTime) / 1000);
+    velocity = {
+      x: velocity.x * 0.5 + ((dx * ROTATE_PER_PIXEL) / seconds) * 0.5,
+      y: velocity.y * 0.5 + ((dy * ROTATE_PER_PIXEL) / seconds) * 0.5,
+    };
+    lastMoveTime = now;
+  };
+
+  const onPointerUp = (e) => {
+    if (!pointers.delete(e.pointerId)) return;
+    element.releasePointerCapture?.(e.pointerId);
+    // Lifting one finger of a pinch goes back to rotating with the other
+    mode = "rotate";
+    if (pointers.size > 0 || performance.now() - lastMoveTime > COAST_WINDOW) {
+      velocity = { x: 0, y: 0 };
+    }
+  };
+
+  const onWheel = (e) => {
+    e.preventDefault();
+    if (goal) delete goal.zoom;
+    view.zoom = clampZoom(view.zoom - e.deltaY * ZOOM_PER_WHEEL_PIXEL);
+  };
+
+  const onKeyDown = (e) => {
+    // Leave browser shortcuts such as Ctrl + / − alone
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    const panStep = KEY_PAN_PIXELS * panScale();
+    const base = { ...view, ...(goal || {}) };
+    const arrows = {
+      ArrowLeft: [-1, 0],
+      ArrowRight: [1, 0],
+      ArrowUp: [0, -1],
+      ArrowDown: [0, 1],
+    };
+
+    if (arrows[e.key]) {
+      const [x, y] = arrows[e.key];
+      if (e.shiftKey) {
+        setGoal({ panX: base.panX - x * panStep, panY: base.panY + y * panStep });
+      } else {
+        setGoal({
+          rotationY: base.rotationY + x * KEY_ROTATE_STEP,
+          rotationX: clampRotationX(base.rotationX + y * KEY_ROTATE_STEP),
+        });
+      }
+    } else if (e.key === "+" || e.key === "=") {
+      setGoal({ zoom: clampZoom(base.zoom * KEY_ZOOM_FACTOR) });
+    } else if (e.key === "-" || e.key === "_" || e.key === "−") {
+      setGoal({ zoom: clampZoom(base.zoom / KEY_ZOOM_FACTOR) });
+    } else if (e.key === "0" || e.key === "Home") {
+      reset();
+    } else {
+      return;
+    }
+    e.preventDefault();
+  };
+
+  const onContextMenu = (e) => e.preventDefault();
+
+  element.addEventListener("pointerdown", onPointerDown);
+  element.addEventListener("pointermove", onPointerMove);
+  element.addEventListener("pointerup", onPointerUp);
+  element.addEventListener("pointercancel", onPointerUp);
+  element.addEventListener("wheel", onWheel, { passive: false });
+  element.addEventListener("dblclick", reset);
+  element.addEventListener("keydown", onKeyDown);
+  element.addEventListener("contextmenu", onContextMenu);
+
+  // `delta` in seconds
+  const update = (delta) => {
+    if (goal) {
+      const step = 1 - Math.exp(-EASE_RATE * delta);
+      let settled = true;
+      Object.entries(goal).forEach(([key, value]) => {
+        view[key] += (value - view[key]) * step;
+        if (Math.abs(value - view[key]) > 1e-4) settled = false;
+        else view[key] = value;
+      });
+      if (settled) goal = null;
+    } else if (pointers.size === 0 && (velocity.x !== 0 || velocity.y !== 0)) {
+      turn(velocity.x * delta, velocity.y * delta);
+      const decay = Math.exp(-DAMPING * delta);
+      velocity = { x: velocity.x * decay, y: velocity.y * decay };
+      if (Math.hypot(velocity.x, velocity.y) < 0.01) velocity = { x: 0, y: 0 };
+    }
+    return view;
+  };
+
+  const dispose = () => {
+    element.removeEventListener("pointerdown", onPointerDown);
+    element.removeEventListener("pointermove", onPointerMove);
+    element.removeEventListener("pointerup", onPointerUp);
+    element.removeEventListener("pointercancel", onPointerUp);
+    element.removeEventListener("wheel", onWheel);
+    element.removeEventListener("dblclick", reset);
+    element.removeEventListener("keydown", onKeyDown);
+    element.removeEventListener("contextmenu", onContextMenu);
+  };
+
+  return { update, reset, showPreset, dispose };
+}
@@ -0,0 +1,202 @@
+// Stills and short loops of a FabricVisualizer view, rendered offscreen at
+// any size with a renderer of their own, so the on-screen canvas keeps
+// running. `view` is what the visualizer puts in its `apiRef`: THREE, the
+// scene and camera, and getTime/setTime for the breathing clock.
+//
+// Loops either spin the fabric once around its vertical axis while it
+// breathes ("turntable"), or hold the current angle and only breathe
+// ("breathing"). Either way the breathing runs through exactly one period of
+// the fabric's motion (breathing.js), so the last frame leads back into the
+// first; the duration sets how fast that period plays. Frames are rendered
+// at exact times, so a GIF plays back at the chosen rate however slow the
+// machine is; WebM is recorded in real time through MediaRecorder and can
+// stutter if a frame takes longer than 1/fps.
+
+import { buildPalette, createGifEncoder } from "../gif";
+import { breathingPeriod } from "./breathing";
+
+export const LOOP_FORMATS = {
+  webm: { label: "WebM", extension: "webm", mimeType: "video/webm" },
+  gif: { label: "GIF", extension: "gif", mimeType: "image/gif" },
+};
+
+export const LOOP_MOTIONS = ["turntable", "breathing"];
+
+export const CAPTURE_LIMITS = {
+  size: { min: 16, max: 8192 },
+  duration: { min: 0.5, max: 30 },
+  fps: { min: 1, max: 60 },
+};
+
+// Loops are drawn on the page's white, since neither format here keeps
+// partial transparency
+const LOOP_BACKGROUND = 0xffffff;
+
+// Frames sampled up front to pick a GIF's palette
+const GIF_PALETTE_SAMPLES = 4;
+
+const WEBM_TYPES = ["video/webm;codecs=vp9", "video/webm;codecs=vp8", "video/webm"];
+
+function checkRange(name, value, { min, max }, integer = false) {
+  if (typeof value !== "number" || !Number.isFinite(value) || (integer && !Number.isInteger(value)) || value < min || value > max) {
+    throw new Error(`${name} must be ${integer ? "a whole number" : "a number"} from ${min} to ${max}`);
+  }
+}
+
+// An offscreen renderer drawing `view` at width × height, plus a render
+// function taking the breathing time and an extra turn around the y axis
+function createCaptureRenderer(view, { width, height, background }) {
+  const { THREE, scene, camera } = view;
+  checkRange("Width", width, CAPTURE_LIMITS.size, true);
+  checkRange("Height", height, CAPTURE_LIMITS.size, true);
+
+  const renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true, preserveDrawingBuffer: true });
+  renderer.setPixelRatio(1);
+  renderer.setSize(width, height, false);
+  if (background === null) renderer.setClearColor(0x000000, 0);
+  else renderer.setClearColor(background, 1);
+
+  // Browsers quietly shrink drawing buffers beyond what the GPU supports
+  const gl = renderer.getContext();
+  if (gl.drawingBufferWidth !== width || gl.drawingBufferHeight !== height) {
+    renderer.dispose();
+    renderer.forceContextLoss();
+    throw new Error(`${width} × ${height} is larger than this browser can render (got ${gl.drawingBufferWidth} × ${gl.drawingBufferHeight})`);
+  }
+
+  // Same viewpoint and zoom as on screen, reframed for the new aspect ratio
+  const captureCamera = camera.clone();
+  captureCamera.aspect = width / height;
+  captureCamera.updateProjectionMatrix();
+
+  const render = (time, turn = 0) => {
+    const rotationY = scene.rotation.y;
+    const liveTime = view.getTime();
+    scene.rotation.y = rotationY + turn;
+    view.setTime(time);
+    renderer.render(scene, captureCamera);
+    scene.rotation.y = rotationY;
+    view.setTime(liveTime);
+  };
+
+  const dispose = () => {
+    renderer.dispose();
+    renderer.forceContextLoss();
+  };
+
+  return { canvas: renderer.domElement, render, dispose };
+}
+
+const canvasToBlob = (canvas, type) => new Promise((resolve, reject) => {
+  canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error("The browser could not encode the image"))), type);
+});
+
+// Give the page a chance to repaint (and show progress) between frames
+const nextTick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+// PNG of the view as it is now. Resolves to a Blob.
+export async function captureStill(view, { width, height, transparent = true }) {
+  const capture = createCaptureRenderer(view, { width, height, background: transparent ? null : LOOP_BACKGROUND });
+  try {
+    capture.render(view.getTime());
+    return await canvasToBlob(capture.canvas, "image/png");
+  } finally {
+    capture.dispose();
+  }
+}
+
+// Frame i of a loop: its breathing time and turn. Both cover one full cycle
+// over the frames, the breathing one period of the main fabric (the first
+// shown; a second fabric with another motion may not line up).
+function loopFrames(view, { duration, fps, motion }) {
+  const count = Math.max(1, Math.round(duration * fps));
+  const startTime = view.getTime();
+  const [fabric] = view.getFabrics();
+  const period = fabric ? breathingPeriod(fabric.uniforms) : 0;
+  return Array.from({ length: count }, (_, i) => ({
+    time: startTime + (i / count) * period,
+    turn: motion === "turntable" ? (i / count) * Math.PI * 2 : 0,
+  }));
+}
+
+async function recordWebm(capture, frames, fps, onProgress) {
+  if (typeof MediaRecorder === "undefined" || !capture.canvas.captureStream) {
+    throw new Error("This browser cannot record video; try GIF instead");
+  }
+  const mimeType = WEBM_TYPES.find((type) => MediaRecorder.isTypeSupported(type));
+  if (!mimeType) throw new Error("This browser cannot record WebM; try GIF instead");
+
+  // Frames are pushed by hand rather than sampled from the canvas
+  const stream = capture.canvas.captureStream(0);
+  const [track] = stream.getVideoTracks();
+  const recorder = new MediaRecorder(stream, { mimeType });
+  const chunks = [];
+  recorder.ondataavailable = (e) => {
+    if (e.data.size > 0) chunks.push(e.data);
+  };
+  const stopped = new Promise((resolve) => {
+    recorder.onstop = resolve;
+  });
+
+  recorder.start();
+  const start = performance.now();
+  for (let i = 0; i < frames.length; i++) {
+    capture.render(frames[i].time, frames[i].turn);
+    track.requestFrame();
+    onProgress?.((i + 1) / frames.length);
+    // Hold each frame for its share of the duration
+    const wait = start + ((i + 1) * 1000) / fps - performance.now();
+    await new Promise((resolve) => setTimeout(resolve, Math.max(0, wait)));
+  }
+  recorder.stop();
+  await stopped;
+  track.stop();
+  return new Blob(chunks, { type: "video/webm" });
+}
+
+async function encodeGif(capture, frames, fps, onProgress, { width, height }) {
+  const context = document.createElement("canvas").getContext("2d", { willReadFrequently: true });
+  context.canvas.width = width;
+  context.canvas.height = height;
+  const pixels = (frame) => {
+    capture.render(frame.time, frame.turn);
+    context.drawImage(capture.canvas, 0, 0);
+    return context.getImageData(0, 0, width, height).data;
+  };
+
+  const sampleCount = Math.min(GIF_PALETTE_SAMPLES, frames.length);
+  const samples = Array.from({ length: sampleCount }, (_, i) => pixels(frames[Math.floor((i * frames.length) / sampleCount)]));
+  const encoder = createGifEncoder({ width, height, palette: buildPalette(samples) });
+
+  for (let i = 0; i < frames.length; i++) {
+    // Delays are whole hundredths; spread the rounding so the total is right
+    const delay = Math.round((100 * (i + 1)) / fps) - Math.round((100 * i) / fps);
+    encoder.addFrame(pixels(frames[i]), delay);
+    onProgress?.((i + 1) / frames.length);
+    await nextTick();
+  }
+  return encoder.finish();
+}
+
+// A loop of `duration` seconds at `fps` frames per second as WebM or GIF.
+// `onProgress` gets the fraction of frames done. Resolves to a Blob.
+export async function captureLoop(view, format, { width, height, duration = 4, fps = 24, motion = "turntable", onProgress } = {}) {
+  if (!LOOP_FORMATS[format]) {
+    throw new Error(`Unsupported loop format "${format}"`);
+  }
+  if (!LOOP_MOTIONS.includes(motion)) {
+    throw new Error(`Unknown loop motion "${motion}"`);
+  }
+  checkRange("Duration", duration, CAPTURE_LIMITS.duration);
+  checkRange("Frame rate", fps, CAPTURE_LIMITS.fps, true);
+
+  const capture = createCaptureRenderer(view, { width, height, background: LOOP_BACKGROUND });
+  try {
+    const frames = loopFrames(view, { duration, fps, motion });
+    return format === "webm"
+      ? await recordWebm(capture, frames, fps, onProgress)
+      : await encodeGif(capture, frames, fps, onProgress, { width, height });
+  } finally {
+    capture.dispose();
+  }
+}
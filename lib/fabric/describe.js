@@ -0,0 +1,81 @@
+// Plain-language description of a fabric, the text alternative to the WebGL
+// canvas. It is built from the same mapping and motion rules as the
+// renderer (mapping.js, motion.js), so it names what is actually drawn:
+// size and layers, mesh density, how far the grid bends, diagonal and cross
+// bracing, support spheres and the way the fabric breathes.
+
+import { normalizeParameters } from "../garment-schema";
+import { DEFAULT_MAPPING_PROFILE, getMappingProfile, mapParametersToGeometry } from "./mapping";
+import { interpolateParameters } from "./morph";
+
+// Low, middle or high third of a 0–1 value
+const third = (value, [low, middle, high]) => (value < 1 / 3 ? low : value < 2 / 3 ? middle : high);
+
+const plural = (count, noun) => `${count} ${noun}${count === 1 ? "" : "s"}`;
+
+const FACE_CROSSES = {
+  4: "X-shaped crosses on its top and bottom faces",
+  12: "X-shaped crosses on all six faces",
+};
+
+const SUPPORT_SPHERES = {
+  none: "There are no support spheres.",
+  half: "Support spheres sit on about half of the cube corners.",
+  all: "Support spheres sit on every cube corner, with smaller ones on each edge midpoint.",
+};
+
+function describeBracing({ numDiagonals, numFaceCrosses }) {
+  const parts = [];
+  if (numDiagonals > 0) parts.push(`${plural(numDiagonals, "diagonal brace")} through its centre`);
+  if (numFaceCrosses > 0) parts.push(FACE_CROSSES[numFaceCrosses]);
+  if (parts.length === 0) return "The cubes are plain outlines with no bracing.";
+  return `Each cube has ${parts.join(" and ")}.`;
+}
+
+// Motion follows MOTION_TABLE: Support sets the size of the swell, Fit the
+// wavelength, Thickness the pace and Airflow the flutter
+function describeMotion(values) {
+  const size = third(1 - values.Support, ["barely stirs", "breathes gently", "swells freely"]);
+  const waves = third(values.Fit, ["in short ripples", "in medium waves", "in long swells"]);
+  const pace = third(values.Thickness, ["quickly", "at an even pace", "slowly and heavily"]);
+  const flutter = third(values.Airflow, ["", ", with a light flutter", ", with a strong flutter"]);
+  return `It ${size} ${waves}, ${pace}${flutter}.`;
+}
+
+// A few sentences for one fabric. `animated: false` describes it held still.
+export function describeFabric(parameters, { mappingProfile = DEFAULT_MAPPING_PROFILE, animated = true } = {}) {
+  const { values } = normalizeParameters(parameters);
+  const profile = getMappingProfile(mappingProfile);
+  const geometry = mapParametersToGeometry(values, profile);
+  const { gridSize, numLayers } = geometry;
+
+  const layers = numLayers === 1
+    ? `a single layer of ${gridSize} by ${gridSize}`
+    : `${numLayers} layers, each ${gridSize} by ${gridSize}`;
+  const bend = geometry.deformationStrength / profile.deformation.max;
+  const sentences = [
+    `A ${third(values.Fit, ["compact", "medium-sized", "wide"])} lattice of ${layers} cubes (${gridSize * gridSize * numLayers} in all).`,
+    `The mesh is ${third(values.Mesh, ["open and coarse", "of medium density", "fine and dense"])}.`,
+    geometry.deformationStrength === 0
+      ? "The grid lies flat."
+      : `The grid ${third(bend, ["is almost flat, with a slight bend", "bends in gentle waves", "is strongly warped"])}.`,
+    describeBracing(geometry),
+    SUPPORT_SPHERES[geometry.supportSpheres],
+    animated ? describeMotion(values) : "It is held still.",
+  ];
+  return sentences.join(" ");
+}
+
+// Everything a FabricVisualizer shows: one fabric, two overlaid, or a blend
+// between two at `blend` (see its props)
+export function describeView({ parameters, overlayParameters, blendParameters, blend = 0 }, options) {
+  if (blendParameters) {
+    const percent = Math.round(blend * 100);
+    const blended = interpolateParameters(parameters, blendParameters, blend);
+    return `A blend ${percent}% of the way from the first fabric to the second. ${describeFabric(blended, options)}`;
+  }
+  if (overlayParameters) {
+    return `Two fabrics drawn over each other. First: ${describeFabric(parameters, options)} Second: ${describeFabric(overlayParameters, options)}`;
+  }
+  return describeFabric(parameters, options);
+}
@@ -0,0 +1,298 @@
+// Export the fabrics shown in a visualizer as GLB, OBJ or STL for Blender or
+// a 3D printer slicer. Every part becomes a closed mesh, so the STL is
+// watertight part by part: cube shells are the cubes' own faces, outlines,
+// diagonals and face crosses become capped tubes, and support spheres become
+// low-poly spheres. Coordinates are the fabric's own (Fit scale included,
+// rotation left out).
+//
+// `pose: "rest"` exports the lattice as built; `pose: "frame"` bakes in the
+// breathing offset the shaders apply at the fabric's current time.
+
+import { breathingOffset } from "./breathing";
+
+export const EXPORT_FORMATS = {
+  glb: { label: "GLB", extension: "glb", mimeType: "model/gltf-binary" },
+  obj: { label: "OBJ", extension: "obj", mimeType: "model/obj" },
+  stl: { label: "STL", extension: "stl", mimeType: "model/stl" },
+};
+
+export const EXPORT_POSES = ["rest", "frame"];
+
+// In lattice units, where a cube is 1 wide and a corner sphere 0.05 in radius
+const TUBE_RADIUS = 0.015;
+const TUBE_SIDES = 6;
+const SPHERE_DETAIL = 1;
+
+// Collects vertices (with colours) and triangles for one merged mesh
+function createMeshBuilder() {
+  const positions = [];
+  const colors = [];
+  const indices = [];
+  return {
+    addVertex(point, color) {
+      positions.push(point.x, point.y, point.z);
+      colors.push(color.r, color.g, color.b);
+      return positions.length / 3 - 1;
+    },
+    addTriangle(a, b, c) {
+      indices.push(a, b, c);
+    },
+    toGeometry(THREE) {
+      const geometry = new THREE.BufferGeometry();
+      geometry.setAttribute("position", new THREE.Float32BufferAttribute(positions, 3));
+      geometry.setAttribute("color", new THREE.Float32BufferAttribute(colors, 3));
+      geometry.setIndex(indices);
+      geometry.computeVertexNormals();
+      return geometry;
+    },
+  };
+}
+
+// Capped tube along one segment: TUBE_SIDES quads plus a fan at each end,
+// all wound outward
+function addTube(THREE, builder, start, end, startColor, endColor) {
+  const axis = new THREE.Vector3().subVectors(end, start);
+  if (axis.lengthSq() === 0) return;
+  axis.normalize();
+  const helper = Math.abs(axis.y) < 0.9 ? new THREE.Vector3(0, 1, 0) : new THREE.Vector3(1, 0, 0);
+  const u = new THREE.Vector3().crossVectors(axis, helper).normalize();
+  const v = new THREE.Vector3().crossVectors(axis, u);
+
+  const ring = (center, color) => {
+    const ringIndices = [];
+    for (let i = 0; i < TUBE_SIDES; i++) {
+      const angle = (i / TUBE_SIDES) * Math.PI * 2;
+      const point = center.clone()
+        .addScaledVector(u, Math.cos(angle) * TUBE_RADIUS)
+        .addScaledVector(v, Math.sin(angle) * TUBE_RADIUS);
+      ringIndices.push(builder.addVertex(point, color));
+    }
+    return ringIndices;
+  };
+  const startRing = ring(start, startColor);
+  const endRing = ring(end, endColor);
+  const startCenter = builder.addVertex(start, startColor);
+  const endCenter = builder.addVertex(end, endColor);
+
+  for (let i = 0; i < TUBE_SIDES; i++) {
+    const next = (i + 1) % TUBE_SIDES;
+    builder.addTriangle(startRing[i], startRing[next], endRing[next]);
+    builder.addTriangle(startRing[i], endRing[next], endRing[i]);
+    builder.addTriangle(startCenter, startRing[next], startRing[i]);
+    builder.addTriangle(endCenter, endRing[i], endRing[next]);
+  }
+}
+
+// Icosphere as shared points and triangles. three's IcosahedronGeometry
+// repeats each vertex per triangle; sharing them keeps files small and the
+// mesh closed by index, not just by position.
+function indexedSphere(THREE, radius) {
+  const geometry = new THREE.IcosahedronGeometry(radius, SPHERE_DETAIL);
+  const position = geometry.attributes.position;
+  const points = [];
+  const byKey = new Map();
+  const corners = [];
+  for (let i = 0; i < position.count; i++) {
+    const point = new THREE.Vector3().fromBufferAttribute(position, i);
+    const key = point.toArray().map((value) => value.toFixed(6)).join(",");
+    if (!byKey.has(key)) {
+      byKey.set(key, points.length);
+      points.push(point);
+    }
+    corners.push(byKey.get(key));
+  }
+  geometry.dispose();
+
+  const triangles = [];
+  for (let i = 0; i < corners.length; i += 3) {
+    triangles.push([corners[i], corners[i + 1], corners[i + 2]]);
+  }
+  return { points, triangles };
+}
+
+// The three parts of a built fabric (see build-fabric.js)
+function fabricParts(fabric) {
+  const parts = {};
+  fabric.group.traverse((child) => {
+    if (child.isInstancedMesh) parts.spheres = child;
+    else if (child.isLineSegments) parts.lines = child;
+    else if (child.isMesh) parts.faces = child;
+  });
+  return parts;
+}
+
+// One fabric as a group of closed meshes in the fabric's own space
+function exportFabric(THREE, fabric, { pose, includeFaces }) {
+  const { faces, lines, spheres } = fabricParts(fabric);
+  fabric.group.updateWorldMatrix(true, true);
+  const toFabric = fabric.group.matrixWorld.clone().invert();
+  // Object space of a part → fabric space (this is where the Fit scale lives)
+  const partMatrix = (object) => toFabric.clone().multiply(object.matrixWorld);
+
+  const point = new THREE.Vector3();
+  const color = new THREE.Color();
+  // Rest position of vertex i of an attribute, moved to the chosen pose
+  const posed = (attribute, i) => {
+    point.fromBufferAttribute(attribute, i);
+    if (pose === "frame") {
+      const offset = breathingOffset(point, fabric.uniforms);
+      point.x += offset.x;
+      point.y += offset.y;
+      point.z += offset.z;
+    }
+    return point;
+  };
+
+  const group = new THREE.Group();
+  const addPart = (name, builder, source) => {
+    const geometry = builder.toGeometry(THREE);
+    geometry.applyMatrix4(partMatrix(source));
+    const material = new THREE.MeshStandardMaterial({
+      vertexColors: true,
+      metalness: 0.3,
+      roughness: 0.7,
+      transparent: source.material.userData.baseOpacity < 1,
+      opacity: source.material.userData.baseOpacity,
+    });
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.name = name;
+    group.add(mesh);
+  };
+
+  // Cube shells: the faces already form one closed box per cube
+  if (includeFaces && faces) {
+    const builder = createMeshBuilder();
+    const { position, color: colorAttribute } = faces.geometry.attributes;
+    for (let i = 0; i < position.count; i++) {
+      builder.addVertex(posed(position, i), color.fromBufferAttribute(colorAttribute, i));
+    }
+    const index = faces.geometry.index;
+    for (let i = 0; i < index.count; i += 3) {
+      builder.addTriangle(index.getX(i), index.getX(i + 1), index.getX(i + 2));
+    }
+    addPart("Cube shells", builder, faces);
+  }
+
+  // Outlines, diagonals and face crosses. Neighbouring cubes share edges and
+  // face diagonals; each is exported once.
+  if (lines) {
+    const builder = createMeshBuilder();
+    const { position, color: colorAttribute } = lines.geometry.attributes;
+    const seen = new Set();
+    const pointKey = (i) => `${position.getX(i)},${position.getY(i)},${position.getZ(i)}`;
+    for (let i = 0; i < position.count; i += 2) {
+      const key = [pointKey(i), pointKey(i + 1)].sort().join("|");
+      if (seen.has(key)) continue;
+      seen.add(key);
+      const start = posed(position, i).clone();
+      const end = posed(position, i + 1).clone();
+      const startColor = color.fromBufferAttribute(colorAttribute, i).clone();
+      const endColor = color.fromBufferAttribute(colorAttribute, i + 1).clone();
+      addTube(THREE, builder, start, end, startColor, endColor);
+    }
+    addPart("Outlines", builder, lines);
+  }
+
+  // Support spheres, each moved with its centre like in the shader
+  if (spheres && spheres.count > 0) {
+    const builder = createMeshBuilder();
+    const template = indexedSphere(THREE, spheres.geometry.parameters.radius);
+    const matrix = new THREE.Matrix4();
+    const center = new THREE.Vector3();
+    for (let i = 0; i < spheres.count; i++) {
+      spheres.getMatrixAt(i, matrix);
+      if (spheres.instanceColor) spheres.getColorAt(i, color);
+      else color.setRGB(1, 1, 1);
+      center.setFromMatrixPosition(matrix);
+      const offset = pose === "frame" ? breathingOffset(center, fabric.uniforms) : { x: 0, y: 0, z: 0 };
+      const vertexIndices = template.points.map((templatePoint) => {
+        point.copy(templatePoint).applyMatrix4(matrix);
+        point.x += offset.x;
+        point.y += offset.y;
+        point.z += offset.z;
+        return builder.addVertex(point, color);
+      });
+      template.triangles.forEach(([a, b, c]) => {
+        builder.addTriangle(vertexIndices[a], vertexIndices[b], vertexIndices[c]);
+      });
+    }
+    addPart("Support spheres", builder, spheres);
+  }
+
+  return group;
+}
+
+function disposeScene(scene) {
+  scene.traverse((child) => {
+    if (child.geometry) child.geometry.dispose();
+    if (child.material) child.material.dispose();
+  });
+}
+
+// Vertex colours go out as "v x y z r g b" (sRGB), which Blender and
+// MeshLab read
+function writeObj(THREE, scene) {
+  const lines = ["# Fabric lattice"];
+  const point = new THREE.Vector3();
+  const color = new THREE.Color();
+  const rgb = {};
+  let vertexOffset = 1;
+
+  scene.updateWorldMatrix(true, true);
+  scene.traverse((mesh) => {
+    if (!mesh.isMesh) return;
+    const { position, color: colorAttribute } = mesh.geometry.attributes;
+    lines.push(`o ${mesh.name.replace(/\s+/g, "_")}`);
+    for (let i = 0; i < position.count; i++) {
+      point.fromBufferAttribute(position, i).applyMatrix4(mesh.matrixWorld);
+      color.fromBufferAttribute(colorAttribute, i).getRGB(rgb, THREE.SRGBColorSpace);
+      const coordinates = [point.x, point.y, point.z].map((value) => +value.toFixed(5));
+      lines.push(`v ${coordinates.join(" ")} ${rgb.r.toFixed(4)} ${rgb.g.toFixed(4)} ${rgb.b.toFixed(4)}`);
+    }
+    const index = mesh.geometry.index;
+    for (let i = 0; i < index.count; i += 3) {
+      lines.push(`f ${index.getX(i) + vertexOffset} ${index.getX(i + 1) + vertexOffset} ${index.getX(i + 2) + vertexOffset}`);
+    }
+    vertexOffset += position.count;
+  });
+
+  return lines.join("\n") + "\n";
+}
+
+// Build the export file for `fabrics` (as returned by the stage). Resolves to
+// a Blob. The three.js exporters are only loaded when needed.
+export async function exportFabrics(THREE, fabrics, format, { pose = "rest", includeFaces = true } = {}) {
+  if (!EXPORT_FORMATS[format]) {
+    throw new Error(`Unsupported export format "${format}"`);
+  }
+  if (fabrics.length === 0) {
+    throw new Error("There is no fabric to export");
+  }
+
+  const scene = new THREE.Scene();
+  fabrics.forEach((fabric, i) => {
+    const group = exportFabric(THREE, fabric, { pose, includeFaces });
+    group.name = fabrics.length > 1 ? `Fabric ${i + 1}` : "Fabric";
+    scene.add(group);
+  });
+
+  try {
+    const { mimeType } = EXPORT_FORMATS[format];
+    switch (format) {
+      case "glb": {
+        const { GLTFExporter } = await import("three/examples/jsm/exporters/GLTFExporter.js");
+        const buffer = await new GLTFExporter().parseAsync(scene, { binary: true });
+        return new Blob([buffer], { type: mimeType });
+      }
+      case "obj":
+        return new Blob([writeObj(THREE, scene)], { type: mimeType });
+      case "stl": {
+        // STL has no colours; slicers only need the closed shapes
+        const { STLExporter } = await import("three/examples/jsm/exporters/STLExporter.js");
+        return new Blob([new STLExporter().parse(scene, { binary: true })], { type: mimeType });
+      }
+    }
+  } finally {
+    disposeScene(scene);
+  }
+}
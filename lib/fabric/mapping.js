@@ -0,0 +1,53 @@
+// How garment parameters become a fabric's geometry. The numbers live in
+// named profiles in mapping-profiles.json, so the visual language can be
+// tuned without touching the renderer. Each profile has:
+//
+//   scale           Fit → overall scale, linear from `min` to `max`
+//   gridSize        Mesh → cubes per side, `min` × 2^(Mesh × `doublings`)
+//   numLayers       Thickness → cube layers, linear from `min` to `max`, rounded
+//   deformation     Support → how far the base grid bends, `max` at Support 0, none at 1
+//   diagonals       Airflow thresholds for 2 and for 4 space diagonals per cube
+//   faceCrosses     Airflow thresholds for X patterns on top/bottom and on all faces
+//   supportSpheres  Support thresholds for spheres on half and on all corners
+//                   (plus edge midpoints)
+//
+// A profile may leave sections out; they fall back to the default profile.
+
+import profiles from "./mapping-profiles.json";
+
+export const DEFAULT_MAPPING_PROFILE = "default";
+
+export const MAPPING_PROFILES = Object.entries(profiles).map(([id, profile]) => ({
+  id,
+  label: profile.label || id,
+  description: profile.description || "",
+}));
+
+export function isMappingProfile(id) {
+  return Object.prototype.hasOwnProperty.call(profiles, id);
+}
+
+// Unknown ids get the default profile
+export function getMappingProfile(id = DEFAULT_MAPPING_PROFILE) {
+  const defaults = profiles[DEFAULT_MAPPING_PROFILE];
+  return isMappingProfile(id) ? { ...defaults, ...profiles[id] } : defaults;
+}
+
+// 0 below the first threshold, 1 from the first, 2 from the second
+const tier = (value, [first, second]) => (value >= second ? 2 : value >= first ? 1 : 0);
+
+const lerp = ({ min, max }, t) => min + (max - min) * t;
+
+// Map normalized parameters to the values the geometry is built from
+export function mapParametersToGeometry(values, profile = getMappingProfile()) {
+  return {
+    scale: lerp(profile.scale, values.Fit),
+    gridSize: Math.round(profile.gridSize.min * Math.pow(2, values.Mesh * profile.gridSize.doublings)),
+    numLayers: Math.round(lerp(profile.numLayers, values.Thickness)),
+    deformationStrength: (1 - values.Support) * profile.deformation.max,
+    numDiagonals: [0, 2, 4][tier(values.Airflow, profile.diagonals)],
+    // Face crosses are listed two per face, top and bottom first
+    numFaceCrosses: [0, 4, 12][tier(values.Airflow, profile.faceCrosses)],
+    supportSpheres: ["none", "half", "all"][tier(values.Support, profile.supportSpheres)],
+  };
+}
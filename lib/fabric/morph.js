@@ -0,0 +1,36 @@
+// Transitions between two parameter sets. The fabric is rebuilt from
+// parameters part way between them, so every geometry input moves with the
+// blend: Fit's scale and Support's bend change smoothly, while grid density,
+// layer count, diagonals, face crosses and support spheres step up or down
+// at the points where the blended values reach their next count or tier.
+
+import { PARAMETER_KEYS, normalizeParameters } from "../garment-schema";
+
+export const MORPH_DURATION = 0.9; // seconds
+export const MORPH_STEPS = 15; // rebuilds over one morph
+
+export const easeInOutCubic = (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2);
+
+const lerp = (a, b, t) => a + (b - a) * t;
+
+// Parameter values part way between two sets
+export function interpolateParameters(from, to, t) {
+  const values = {};
+  PARAMETER_KEYS.forEach((key) => {
+    values[key] = lerp(from[key], to[key], t);
+  });
+  return values;
+}
+
+// What to build at blend position t between two { parameters, seed } specs:
+// 0 is `from`, 1 is `to`. The seed (which only picks random details) comes
+// from whichever end is nearer. Missing parameters (a preview still coming
+// in) count as their defaults.
+export function morphSpec(from, to, t) {
+  const { values: fromValues } = normalizeParameters(from.parameters);
+  const { values: toValues } = normalizeParameters(to.parameters);
+  return {
+    parameters: interpolateParameters(fromValues, toValues, t),
+    seed: t < 0.5 ? from.seed : to.seed,
+  };
+}
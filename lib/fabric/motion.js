@@ -0,0 +1,57 @@
+// Idle motion of a fabric as a function of its garment parameters, so the
+// breathing itself says something about the result: a rigid, supportive
+// garment barely stirs while a soft one swells, a loose fit rolls in long
+// swells, a closed fabric catches the wind and a thick one moves heavily.
+//
+// Each row maps one parameter linearly onto one property of the breathing
+// wave (parameter 0 → `low`, 1 → `high`). Every property is a multiplier or
+// weight in the shader (see breathing.js), applied on top of the
+// visualizer's `waveSpeed` and `animationStrength`.
+//
+//   amplitude   scales how far vertices move
+//   wavelength  stretches the wave across the lattice (> 1 = longer waves)
+//   turbulence  weight of a fast, short flutter added to the swell
+//   inertia     slows the whole motion down (> 1 = slower)
+
+import { normalizeParameters } from "../garment-schema";
+
+export const MOTION_TABLE = [
+  {
+    property: "amplitude",
+    parameter: "Support",
+    low: 1.4,
+    high: 0.3,
+    effect: "Soft fabrics swell freely; rigid, supportive ones hold their shape.",
+  },
+  {
+    property: "wavelength",
+    parameter: "Fit",
+    low: 0.7,
+    high: 1.4,
+    effect: "Close fits ripple in short waves; loose fits roll in long swells.",
+  },
+  {
+    property: "turbulence",
+    parameter: "Airflow",
+    low: 0,
+    high: 1,
+    effect: "Breathable fabrics let the air through; closed ones catch it and flutter.",
+  },
+  {
+    property: "inertia",
+    parameter: "Thickness",
+    low: 0.8,
+    high: 1.8,
+    effect: "Thin fabrics move quickly; thick ones are heavy and slow.",
+  },
+];
+
+// Motion properties for a parameter set, e.g. { amplitude, wavelength, ... }
+export function motionForParameters(parameters) {
+  const { values } = normalizeParameters(parameters);
+  const motion = {};
+  MOTION_TABLE.forEach(({ property, parameter, low, high }) => {
+    motion[property] = low + (high - low) * values[parameter];
+  });
+  return motion;
+}
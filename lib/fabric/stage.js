@@ -0,0 +1,97 @@
+// The fabrics shown in one FabricVisualizer scene. The scene, camera and
+// renderer outlive any single parameter set; the stage swaps fabrics in and
+// out of it. A new fabric morphs in from the one it replaces, and a blend
+// between two parameter sets is held at whatever position the caller sets.
+//
+// Fabrics are described by { parameters, seed } specs and made with the
+// `build(spec)` function passed to show and showBlend, so a morph or blend
+// can rebuild the fabric at the parameters in between (see morph.js).
+
+import { MORPH_DURATION, MORPH_STEPS, easeInOutCubic, morphSpec } from "./morph";
+
+export function createFabricStage(scene) {
+  let current = null; // { fabric, spec } on screen, at rest or mid-morph
+  let morph = null; // { from, to, elapsed, step } while a morph runs
+  let blend = null; // { from, to } while a blend is held
+  let blendPosition = 0;
+  let overlay = null;
+  let build = null;
+
+  const remove = (fabric) => {
+    if (!fabric) return;
+    scene.remove(fabric.group);
+    fabric.dispose();
+  };
+
+  const display = (spec) => {
+    const fabric = build(spec);
+    remove(current?.fabric);
+    current = { fabric, spec };
+    scene.add(fabric.group);
+  };
+
+  // Show a fabric, morphing from the one currently shown unless `immediate`.
+  // A morph that is still running is cut short; where it got to becomes the
+  // start of the new one.
+  const show = (spec, { build: buildFabric, immediate = false }) => {
+    build = buildFabric;
+    blend = null;
+    if (current && !immediate) {
+      morph = { from: current.spec, to: spec, elapsed: 0, step: 0 };
+    } else {
+      morph = null;
+      display(spec);
+    }
+  };
+
+  const showOverlay = (fabric) => {
+    remove(overlay);
+    overlay = fabric;
+    if (overlay) scene.add(overlay.group);
+  };
+
+  // Hold a blend between two specs at a caller-controlled position (see setBlend)
+  const showBlend = (from, to, { build: buildFabric }) => {
+    build = buildFabric;
+    morph = null;
+    blend = { from, to };
+    display(morphSpec(from, to, blendPosition));
+  };
+
+  const setBlend = (position) => {
+    blendPosition = Math.min(1, Math.max(0, position));
+    if (blend) display(morphSpec(blend.from, blend.to, blendPosition));
+  };
+
+  // Fabrics being shown
+  const getFabrics = () => [current?.fabric, overlay].filter(Boolean);
+
+  // `time` drives the breathing animation, `delta` (seconds) the morph
+  const update = (time, delta) => {
+    if (morph) {
+      morph.elapsed += delta;
+      const progress = Math.min(1, morph.elapsed / MORPH_DURATION);
+      const step = Math.floor(progress * MORPH_STEPS);
+      if (step !== morph.step) {
+        const { from, to } = morph;
+        morph = step < MORPH_STEPS ? { ...morph, step } : null;
+        display(morph ? morphSpec(from, to, easeInOutCubic(step / MORPH_STEPS)) : to);
+      }
+    }
+
+    [current?.fabric, overlay].forEach((fabric) => {
+      if (fabric) fabric.update(time);
+    });
+  };
+
+  const dispose = () => {
+    remove(current?.fabric);
+    remove(overlay);
+    current = null;
+    overlay = null;
+    morph = null;
+    blend = null;
+  };
+
+  return { show, showOverlay, showBlend, setBlend, getFabrics, update, dispose };
+}
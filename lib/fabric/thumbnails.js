@@ -0,0 +1,93 @@
+// Catalog thumbnails rendered with the same geometry as FabricVisualizer.
+// All thumbnails share one offscreen WebGL renderer (browsers cap the number
+// of live contexts) and are produced one at a time, then cached as data URLs.
+
+import { buildFabric } from "./build-fabric";
+import { DEFAULT_MAPPING_PROFILE } from "./mapping";
+import { PARAMETER_KEYS } from "../garment-schema";
+
+// Breathing phase the still is taken at
+const THUMBNAIL_TIME = 0.6;
+
+// Thumbnails kept at once; the least recently requested one is dropped
+// beyond this, since every slider step on a catalog entry makes a new one
+const MAX_THUMBNAILS = 300;
+
+const cache = new Map(); // key → Promise of a data URL, least recently used first
+let queue = Promise.resolve();
+let sharedRenderer = null;
+
+function getRenderer(THREE) {
+  if (!sharedRenderer) {
+    sharedRenderer = new THREE.WebGLRenderer({ antialias: true, alpha: true, preserveDrawingBuffer: true });
+    sharedRenderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+  }
+  return sharedRenderer;
+}
+
+function cacheKey(parameters, { size, mappingProfile, seed }) {
+  return `${size}:${mappingProfile}:${seed}:${PARAMETER_KEYS.map((key) => parameters[key]).join(",")}`;
+}
+
+function renderThumbnail(THREE, parameters, { size, mappingProfile, seed, allowPartial }) {
+  const renderer = getRenderer(THREE);
+  renderer.setSize(size, size, false);
+
+  const scene = new THREE.Scene();
+  scene.add(new THREE.AmbientLight(0xffffff, 0.6));
+  const light = new THREE.DirectionalLight(0xffffff, 0.5);
+  light.position.set(5, 10, 5);
+  scene.add(light);
+
+  const fabric = buildFabric(THREE, parameters, { mappingProfile, seed, allowPartial });
+  fabric.update(THUMBNAIL_TIME);
+  scene.add(fabric.group);
+
+  // Same viewing direction as the main view, framed to the fabric's bounds
+  const bounds = new THREE.Box3().setFromObject(fabric.group).getBoundingSphere(new THREE.Sphere());
+  const camera = new THREE.PerspectiveCamera(50, 1, 0.1, 1000);
+  const distance = bounds.radius / Math.sin(THREE.MathUtils.degToRad(camera.fov / 2));
+  camera.position.set(1, 0.8, 1).normalize().multiplyScalar(distance).add(bounds.center);
+  camera.lookAt(bounds.center);
+
+  renderer.setClearColor(0x000000, 0);
+  renderer.render(scene, camera);
+  const dataUrl = renderer.domElement.toDataURL("image/png");
+
+  fabric.dispose();
+  return dataUrl;
+}
+
+// Resolve to a PNG data URL for these parameters (`mappingProfile` and
+// `seed` and `allowPartial` as for buildFabric). Requests are serialized so a
+// long catalog never builds more than one fabric at once.
+export function requestThumbnail(THREE, parameters, { size = 96, mappingProfile = DEFAULT_MAPPING_PROFILE, seed, allowPartial = false } = {}) {
+  const options = { size, mappingProfile, seed, allowPartial };
+  const key = cacheKey(parameters, options);
+  const cached = cache.get(key);
+  if (cached) {
+    // Re-insert so Map order stays oldest-used first
+    cache.delete(key);
+    cache.set(key, cached);
+    return cached;
+  }
+
+  const job = queue.then(
+    () =>
+      new Promise((resolve, reject) => {
+        // Yield between thumbnails so the page stays responsive
+        setTimeout(() => {
+          try {
+            resolve(renderThumbnail(THREE, parameters, options));
+          } catch (err) {
+            if (cache.get(key) === job) cache.delete(key);
+            reject(err);
+          }
+        }, 0);
+      })
+  );
+  queue = job.catch(() => {});
+  cache.set(key, job);
+  while (cache.size > MAX_THUMBNAILS) cache.delete(cache.keys().next().value);
+  return job;
+}
@@ -0,0 +1,236 @@
+// Garment parameter schema shared by /api/analyze and the client-side fallback.
+// The system prompt, the slider labels and response normalization are all
+// derived from this table, so a parameter is only ever described here.
+
+// Bump whenever the generated prompt changes in a way that affects results
+export const PROMPT_VERSION = "1";
+
+export const PARAMETER_MIN = 0;
+export const PARAMETER_MAX = 1;
+
+export const GARMENT_PARAMETERS = [
+  {
+    key: "Fit",
+    label: "FIT",
+    lowLabel: "Close",
+    highLabel: "Loose",
+    orientation: "0 = close/tight, 1 = loose/relaxed",
+    drivers: "Influenced by temperature (colder → closer), activity (higher → looser), containment need (higher → closer).",
+  },
+  {
+    key: "Mesh",
+    label: "MESH",
+    lowLabel: "Open",
+    highLabel: "Fine",
+    orientation: "0 = open/coarse, 1 = fine/tight",
+    drivers: "Colder → finer, formal → finer, active → coarser, sleek aesthetics → finer.",
+  },
+  {
+    key: "Thickness",
+    label: "THICKNESS",
+    lowLabel: "Thin",
+    highLabel: "Thick",
+    orientation: "0 = thin, 1 = thick",
+    drivers: "Driven by cold temperature, wind speed, and time outdoors.",
+  },
+  {
+    key: "Airflow",
+    label: "AIRFLOW",
+    lowLabel: "Breathable",
+    highLabel: "Unbreathable",
+    orientation: "0 = most breathable, 1 = least breathable",
+    drivers: "Hotter/humid/active → more breathable (lower); cold/outdoor → less breathable (higher).",
+  },
+  {
+    key: "Support",
+    label: "SUPPORT",
+    lowLabel: "Soft",
+    highLabel: "Rigid",
+    orientation: "0 = soft/flexible, 1 = rigid/structured",
+    drivers: "Driven by physical demand, need for grounding, formality, and environmental instability.",
+  },
+];
+
+export const PARAMETER_KEYS = GARMENT_PARAMETERS.map((param) => param.key);
+
+// Neutral value used only when a caller asks for a complete set and a key is absent
+export const DEFAULT_PARAMETER_VALUE = 0.5;
+
+// Situational drivers the model (or the offline analyzer) can report back
+// alongside the parameters when an explanation is requested
+export const SITUATION_FACTORS = [
+  { key: "temperature", label: "Temperature", unit: "°C", description: "estimated air temperature in °C" },
+  { key: "wind", label: "Wind", min: 0, max: 1, description: "0 = calm, 1 = storm" },
+  { key: "humidity", label: "Humidity", min: 0, max: 1, description: "0 = dry, 1 = rain or muggy" },
+  { key: "activity", label: "Activity", min: 0, max: 1, description: "0 = resting, 1 = intense exercise" },
+  { key: "formality", label: "Formality", min: 0, max: 1, description: "0 = at home, 1 = black tie" },
+  { key: "outdoors", label: "Outdoors", min: 0, max: 1, description: "0 = indoors throughout, 1 = outside all day" },
+];
+
+export const SITUATION_FACTOR_KEYS = SITUATION_FACTORS.map((factor) => factor.key);
+
+// Extra top-level keys allowed in a response when an explanation is requested
+export const EXPLANATION_KEYS = ["factors", "rationale"];
+
+export function buildSystemPrompt({ explain = false } = {}) {
+  const parameterShape = PARAMETER_KEYS.map((key) => `  "${key}": float`);
+  const meanings = GARMENT_PARAMETERS.map(
+    (param) => `- ${param.key}: ${param.orientation}\n  ${param.drivers}`
+  ).join("\n\n");
+
+  if (!explain) {
+    return `You are a garment behavior interpreter.
+
+Your job is to read a short paragraph describing someone's situation and convert it into ${GARMENT_PARAMETERS.length} normalized values between ${PARAMETER_MIN} and ${PARAMETER_MAX}.
+
+Return only a JSON object like:
+
+{
+${parameterShape.join(",\n")}
+}
+
+Use these orientations and meanings:
+
+${meanings}
+
+Be consistent, numeric, and concise.
+Output only the JSON, no explanation.`;
+  }
+
+  const factorShape = SITUATION_FACTORS.map((factor) => `    "${factor.key}": float`).join(",\n");
+  const factorMeanings = SITUATION_FACTORS.map((factor) => `- ${factor.key}: ${factor.description}`).join("\n");
+  const rationaleShape = PARAMETER_KEYS.map((key) => `    "${key}": string`).join(",\n");
+
+  return `You are a garment behavior interpreter.
+
+Your job is to read a short paragraph describing someone's situation, estimate the situational factors it implies, and convert it into ${GARMENT_PARAMETERS.length} normalized values between ${PARAMETER_MIN} and ${PARAMETER_MAX}.
+
+Return only a JSON object like:
+
+{
+${parameterShape.join(",\n")},
+  "factors": {
+${factorShape}
+  },
+  "rationale": {
+${rationaleShape}
+  }
+}
+
+Estimate these factors (use your best guess when the text is silent):
+
+${factorMeanings}
+
+Use these orientations and meanings:
+
+${meanings}
+
+Each rationale is one short sentence naming the factors that moved that value.
+Be consistent, numeric, and concise.
+Output only the JSON.`;
+}
+
+export function clampParameter(value) {
+  return Math.min(PARAMETER_MAX, Math.max(PARAMETER_MIN, value));
+}
+
+// Clamp every known key into range and report the ones that are absent or not
+// numeric. Missing keys are filled with DEFAULT_PARAMETER_VALUE so renderers
+// always get a complete set, but callers decide whether `missing` is an error.
+export function normalizeParameters(raw) {
+  const values = {};
+  const missing = [];
+
+  PARAMETER_KEYS.forEach((key) => {
+    const value = raw ? raw[key] : undefined;
+    if (typeof value === "number" && Number.isFinite(value)) {
+      values[key] = clampParameter(value);
+    } else {
+      values[key] = DEFAULT_PARAMETER_VALUE;
+      missing.push(key);
+    }
+  });
+
+  return { values, missing };
+}
+
+// Strict check of a parsed model response. Returns a list of human-readable
+// problems (empty when valid); the messages are sent back to the model
+// verbatim when asking it to repair its output. `allowedExtraKeys` lists
+// top-level keys validated elsewhere (see validateExplanation).
+export function validateParameters(raw, { allowedExtraKeys = [] } = {}) {
+  if (raw === null || typeof raw !== "object" || Array.isArray(raw)) {
+    return ["Response must be a JSON object."];
+  }
+
+  const errors = [];
+  const expected = new Set([...PARAMETER_KEYS, ...allowedExtraKeys]);
+  const misspelled = new Set();
+
+  Object.keys(raw).forEach((key) => {
+    if (expected.has(key)) return;
+    const intended = PARAMETER_KEYS.find((name) => name.toLowerCase() === key.trim().toLowerCase());
+    if (intended) {
+      misspelled.add(intended);
+      errors.push(`Key "${key}" must be spelled exactly "${intended}".`);
+    } else {
+      errors.push(`Unexpected key "${key}".`);
+    }
+  });
+
+  PARAMETER_KEYS.forEach((key) => {
+    if (!(key in raw)) {
+      if (!misspelled.has(key)) errors.push(`Missing key "${key}".`);
+      return;
+    }
+    const value = raw[key];
+    if (typeof value !== "number" || !Number.isFinite(value)) {
+      errors.push(`"${key}" must be a number, got ${JSON.stringify(value)}.`);
+    } else if (value < PARAMETER_MIN || value > PARAMETER_MAX) {
+      errors.push(`"${key}" must be between ${PARAMETER_MIN} and ${PARAMETER_MAX}, got ${value}.`);
+    }
+  });
+
+  return errors;
+}
+
+// Check the optional "factors" / "rationale" blocks of an explained response.
+// Returns the valid parts plus a list of problems; callers may ask the model
+// to repair them but should not fail an otherwise valid analysis over them.
+export function validateExplanation(raw) {
+  const errors = [];
+  const factors = {};
+  const rationale = {};
+
+  const rawFactors = raw?.factors;
+  if (!rawFactors || typeof rawFactors !== "object") {
+    errors.push('Missing "factors" object.');
+  } else {
+    SITUATION_FACTORS.forEach((factor) => {
+      const value = rawFactors[factor.key];
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        errors.push(`"factors.${factor.key}" must be a number.`);
+      } else if (factor.min !== undefined && (value < factor.min || value > factor.max)) {
+        errors.push(`"factors.${factor.key}" must be between ${factor.min} and ${factor.max}, got ${value}.`);
+      } else {
+        factors[factor.key] = value;
+      }
+    });
+  }
+
+  const rawRationale = raw?.rationale;
+  if (!rawRationale || typeof rawRationale !== "object") {
+    errors.push('Missing "rationale" object.');
+  } else {
+    PARAMETER_KEYS.forEach((key) => {
+      const sentence = rawRationale[key];
+      if (typeof sentence !== "string" || !sentence.trim()) {
+        errors.push(`"rationale.${key}" must be a non-empty string.`);
+      } else {
+        rationale[key] = sentence.trim();
+      }
+    });
+  }
+
+  return { factors, rationale, errors };
+}
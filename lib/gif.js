@@ -0,0 +1,163 @@
+// Minimal animated GIF encoder: one global palette shared by every frame,
+// LZW-compressed full frames, looping forever. No dithering and no
+// transparency, which is enough for short captures on a plain background.
+
+// Colours are grouped at 5 bits per channel for the palette and its lookups
+const bucketOf = (r, g, b) => ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+
+// Every SAMPLE_STRIDE-th pixel is counted when building a palette
+const SAMPLE_STRIDE = 3;
+
+// The `maxColors` most common colours in `images` (arrays of RGBA bytes),
+// as [r, g, b] triples
+export function buildPalette(images, maxColors = 256) {
+  const counts = new Uint32Array(1 << 15);
+  const sums = new Float64Array(3 << 15);
+  images.forEach((data) => {
+    for (let i = 0; i < data.length; i += 4 * SAMPLE_STRIDE) {
+      const bucket = bucketOf(data[i], data[i + 1], data[i + 2]);
+      counts[bucket]++;
+      sums[bucket * 3] += data[i];
+      sums[bucket * 3 + 1] += data[i + 1];
+      sums[bucket * 3 + 2] += data[i + 2];
+    }
+  });
+
+  const buckets = [];
+  counts.forEach((count, bucket) => {
+    if (count > 0) buckets.push(bucket);
+  });
+  return buckets
+    .sort((a, b) => counts[b] - counts[a])
+    .slice(0, maxColors)
+    .map((bucket) => [0, 1, 2].map((channel) => Math.round(sums[bucket * 3 + channel] / counts[bucket])));
+}
+
+// Variable-length LZW as GIF uses it, with a clear code whenever the 12-bit
+// code table fills up. Returns the compressed bytes.
+function lzwEncode(indices, minCodeSize) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const bytes = [];
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let table = new Map();
+  let bitBuffer = 0;
+  let bitCount = 0;
+
+  const emit = (code) => {
+    bitBuffer |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      bytes.push(bitBuffer & 0xff);
+      bitBuffer >>>= 8;
+      bitCount -= 8;
+    }
+  };
+
+  emit(clearCode);
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const index = indices[i];
+    const key = (prefix << 8) | index;
+    const code = table.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+    emit(prefix);
+    if (nextCode === 4096) {
+      emit(clearCode);
+      table = new Map();
+      codeSize = minCodeSize + 1;
+      nextCode = endCode + 1;
+    } else {
+      if (nextCode >= 1 << codeSize) codeSize++;
+      table.set(key, nextCode++);
+    }
+    prefix = index;
+  }
+  emit(prefix);
+  emit(endCode);
+  if (bitCount > 0) bytes.push(bitBuffer & 0xff);
+  return bytes;
+}
+
+// Stream frames into a GIF of `width` × `height` pixels drawn with `palette`
+// (up to 256 [r, g, b] colours, see buildPalette). Each frame is an array of
+// RGBA bytes; its delay is in hundredths of a second.
+export function createGifEncoder({ width, height, palette }) {
+  const parts = [];
+  const word = (value) => [value & 0xff, (value >> 8) & 0xff];
+  const ascii = (text) => Array.from(text, (char) => char.charCodeAt(0));
+
+  // Global colour table, padded to the 256 entries an 8-bit code size needs
+  const colorTable = new Uint8Array(256 * 3);
+  palette.slice(0, 256).forEach(([r, g, b], i) => colorTable.set([r, g, b], i * 3));
+
+  parts.push(new Uint8Array([
+    ...ascii("GIF89a"),
+    ...word(width),
+    ...word(height),
+    0xf7, // global colour table of 256 entries, 8 bits per channel
+    0, // background colour index
+    0, // square pixels
+  ]));
+  parts.push(colorTable);
+  // Netscape extension: loop forever
+  parts.push(new Uint8Array([0x21, 0xff, 0x0b, ...ascii("NETSCAPE2.0"), 0x03, 0x01, 0, 0, 0]));
+
+  // Nearest palette entry per colour bucket, filled in as colours turn up
+  const nearest = new Int16Array(1 << 15).fill(-1);
+  const lookup = (r, g, b) => {
+    const bucket = bucketOf(r, g, b);
+    if (nearest[bucket] === -1) {
+      let best = 0;
+      let bestDistance = Infinity;
+      palette.forEach(([pr, pg, pb], i) => {
+        const distance = (pr - r) ** 2 + (pg - g) ** 2 + (pb - b) ** 2;
+        if (distance < bestDistance) {
+          best = i;
+          bestDistance = distance;
+        }
+      });
+      nearest[bucket] = best;
+    }
+    return nearest[bucket];
+  };
+
+  const addFrame = (rgba, delay) => {
+    const indices = new Uint8Array(width * height);
+    for (let i = 0; i < indices.length; i++) {
+      indices[i] = lookup(rgba[i * 4], rgba[i * 4 + 1], rgba[i * 4 + 2]);
+    }
+
+    parts.push(new Uint8Array([
+      // Graphic control extension: frame delay
+      0x21, 0xf9, 0x04, 0x00, ...word(Math.max(0, Math.round(delay))), 0, 0,
+      // Image descriptor: a full frame, no local colour table
+      0x2c, ...word(0), ...word(0), ...word(width), ...word(height), 0,
+      8, // LZW minimum code size
+    ]));
+
+    // Image data in sub-blocks of at most 255 bytes, then a terminator
+    const data = lzwEncode(indices, 8);
+    const blocks = new Uint8Array(data.length + Math.ceil(data.length / 255) + 1);
+    let offset = 0;
+    for (let i = 0; i < data.length; i += 255) {
+      const block = data.slice(i, i + 255);
+      blocks[offset++] = block.length;
+      blocks.set(block, offset);
+      offset += block.length;
+    }
+    blocks[offset] = 0;
+    parts.push(blocks);
+  };
+
+  const finish = () => {
+    parts.push(new Uint8Array([0x3b]));
+    return new Blob(parts, { type: "image/gif" });
+  };
+
+  return { addFrame, finish };
+}
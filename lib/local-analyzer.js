@@ -0,0 +1,239 @@
+// Offline, rule-based analyzer.
+// Reads the same situation text as the model and scores the drivers named in
+// the system prompt (temperature, wind, humidity, activity, formality, time
+// outdoors) from keyword lexicons, then combines them into the five garment
+// parameters. Deterministic and network-free, so the app works without keys.
+
+import { GARMENT_PARAMETERS, normalizeParameters } from "./garment-schema";
+
+export const LOCAL_PROVIDER_ID = "local";
+
+// Assumed conditions when the text does not mention a driver at all
+const BASELINE_FACTORS = {
+  temperature: 18, // °C
+  wind: 0.15,
+  humidity: 0.35,
+  activity: 0.3,
+  formality: 0.3,
+  outdoors: 0.3,
+};
+
+// Keyword → value lexicons. Temperature values are °C, the rest are 0–1.
+// Phrases may span several words; every match contributes to the average.
+const LEXICONS = {
+  temperature: {
+    "below zero": -8, freezing: -5, frozen: -5, frost: -2, icy: -3, snow: -2, snowy: -2, blizzard: -8,
+    sleet: 0, "very cold": 0, cold: 4, wintry: 2, winter: 3, chilly: 9, brisk: 10, crisp: 11,
+    cool: 13, autumn: 14, fall: 14, spring: 16, mild: 18, pleasant: 21, warm: 25, sunny: 24,
+    summer: 27, hot: 31, "very hot": 36, heatwave: 38, "heat wave": 38, scorching: 38, sweltering: 37, boiling: 38,
+  },
+  wind: {
+    calm: 0, still: 0.05, breeze: 0.35, breezy: 0.4, draft: 0.3, windy: 0.7, gust: 0.75, gusty: 0.75,
+    gale: 0.95, storm: 0.9, stormy: 0.9, blustery: 0.8, typhoon: 1, hurricane: 1, "strong wind": 0.85,
+  },
+  humidity: {
+    dry: 0.1, arid: 0.05, desert: 0.1, damp: 0.6, drizzle: 0.65, mist: 0.6, misty: 0.6, fog: 0.65, foggy: 0.65,
+    rain: 0.8, rainy: 0.8, raining: 0.8, shower: 0.7, showers: 0.7, downpour: 0.95, pouring: 0.9,
+    humid: 0.85, muggy: 0.9, sticky: 0.85, tropical: 0.9, sweaty: 0.7, steamy: 0.9,
+  },
+  activity: {
+    sleep: 0, sleeping: 0, nap: 0, lounge: 0.05, lounging: 0.05, relax: 0.1, relaxing: 0.1, reading: 0.1,
+    sit: 0.1, sitting: 0.1, desk: 0.1, typing: 0.1, studying: 0.15, movie: 0.05, waiting: 0.15,
+    meeting: 0.15, dinner: 0.2, drive: 0.15, driving: 0.15, commute: 0.35, commuting: 0.35, shopping: 0.35,
+    errands: 0.4, walk: 0.45, walking: 0.45, stroll: 0.35, cleaning: 0.5, cooking: 0.35, gardening: 0.55,
+    dancing: 0.75, dance: 0.75, bike: 0.7, biking: 0.7, cycle: 0.7, cycling: 0.75, hike: 0.75, hiking: 0.75,
+    climb: 0.85, climbing: 0.85, moving: 0.7, lifting: 0.8, gym: 0.8, workout: 0.85, training: 0.8,
+    jog: 0.75, jogging: 0.75, run: 0.85, running: 0.85, sprint: 1, marathon: 1, soccer: 0.9, football: 0.9,
+    basketball: 0.9, tennis: 0.85, yoga: 0.5, swim: 0.8, swimming: 0.8, ski: 0.8, skiing: 0.8,
+  },
+  formality: {
+    home: 0.05, pajamas: 0, beach: 0.05, gym: 0.05, casual: 0.15, weekend: 0.15, park: 0.15, errands: 0.2,
+    friends: 0.25, brunch: 0.35, class: 0.35, lecture: 0.4, school: 0.35, work: 0.55, office: 0.65,
+    meeting: 0.7, client: 0.8, presentation: 0.8, conference: 0.75, dinner: 0.5, date: 0.55, theater: 0.6,
+    interview: 0.9, formal: 0.9, ceremony: 0.9, wedding: 0.9, funeral: 0.95, gala: 1, "black tie": 1,
+  },
+  outdoors: {
+    indoors: 0.05, inside: 0.1, home: 0.05, office: 0.1, "at my desk": 0.05, mall: 0.1, car: 0.1,
+    commute: 0.45, commuting: 0.45, "bus stop": 0.5, errands: 0.4, outside: 0.6, outdoors: 0.7, outdoor: 0.65,
+    park: 0.65, garden: 0.6, street: 0.5, market: 0.5, festival: 0.75, camping: 0.95, hike: 0.85, hiking: 0.85,
+    "all day": 0.9, "whole day": 0.9, "for hours": 0.8, "few hours": 0.65, "an hour": 0.45, "a few minutes": 0.15,
+  },
+};
+
+const NEGATIONS = new Set(["not", "no", "without", "never", "isn't", "wasn't", "aren't"]);
+
+function tokenize(text) {
+  return text
+    .toLowerCase()
+    .replace(/[^a-z0-9°'\-\s]/g, " ")
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+// Return every lexicon value whose phrase appears in the token stream and is
+// not directly preceded by a negation word
+function matchLexicon(tokens, lexicon) {
+  const matches = [];
+  Object.entries(lexicon).forEach(([phrase, value]) => {
+    const words = phrase.split(" ");
+    for (let i = 0; i <= tokens.length - words.length; i++) {
+      if (words.every((word, offset) => tokens[i + offset] === word)) {
+        if (!NEGATIONS.has(tokens[i - 1])) {
+          matches.push({ phrase, value });
+        }
+      }
+    }
+  });
+  return matches;
+}
+
+// Explicit readings like "30°C", "85 degrees F", "-5 celsius" win over
+// keywords. A minus sign right after a digit is a range ("70-80°F"), not a
+// negative reading, and a bare C or F needs a degree sign or word before it
+// so "Room 4 C" is not a temperature.
+function matchTemperatureReading(text) {
+  const pattern = /(?<![\d.])(-?\d+(?:\.\d+)?)\s*(?:(°|º|degrees?\b|deg\b)\s*(celsius|fahrenheit|c\b|f\b)?|(celsius|fahrenheit)\b)/gi;
+  for (const reading of text.matchAll(pattern)) {
+    const [, number, , unitAfterDegree, unitWord] = reading;
+    const value = parseFloat(number);
+    const unit = (unitAfterDegree || unitWord || "").toLowerCase();
+    // Bare degrees above 45 are almost certainly Fahrenheit
+    const isFahrenheit = unit.startsWith("f") || (!unit && value > 45);
+    return isFahrenheit ? ((value - 32) * 5) / 9 : value;
+  }
+  return null;
+}
+
+function average(matches) {
+  return matches.reduce((sum, match) => sum + match.value, 0) / matches.length;
+}
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Extract the situational drivers from free text. Each factor carries the
+// phrases that influenced it so callers can explain the result.
+export function extractSituationFactors(text) {
+  const tokens = tokenize(text || "");
+  const factors = {};
+
+  Object.entries(BASELINE_FACTORS).forEach(([name, baseline]) => {
+    const matches = matchLexicon(tokens, LEXICONS[name]);
+    factors[name] = {
+      value: matches.length > 0 ? average(matches) : baseline,
+      cues: matches.map((match) => match.phrase),
+    };
+  });
+
+  const reading = matchTemperatureReading(text || "");
+  if (reading !== null) {
+    factors.temperature = { value: reading, cues: [`${Math.round(reading)}°C`] };
+  }
+
+  return factors;
+}
+
+// Derived drivers the parameter formulas are written in, with the factors
+// whose cues explain them
+const DRIVERS = {
+  cold: { describe: "the cold", from: ["temperature"], value: (f) => clamp01((24 - f.temperature.value) / 30) }, // 24°C → 0, −6°C → 1
+  heat: { describe: "the heat", from: ["temperature"], value: (f) => clamp01((f.temperature.value - 22) / 14) }, // 22°C → 0, 36°C → 1
+  wind: { describe: "wind", from: ["wind"], value: (f) => f.wind.value },
+  humidity: { describe: "humidity", from: ["humidity"], value: (f) => f.humidity.value },
+  activity: { describe: "physical activity", from: ["activity"], value: (f) => f.activity.value },
+  formality: { describe: "a formal setting", from: ["formality"], value: (f) => f.formality.value },
+  windExposure: { describe: "wind while outdoors", from: ["wind", "outdoors"], value: (f) => f.wind.value * f.outdoors.value },
+  coldExposure: {
+    describe: "time out in the cold",
+    from: ["temperature", "outdoors"],
+    value: (f) => clamp01((24 - f.temperature.value) / 30) * f.outdoors.value,
+  },
+  instability: {
+    describe: "unsettled weather",
+    from: ["wind", "humidity"],
+    value: (f) => clamp01(f.wind.value * 0.7 + Math.max(0, f.humidity.value - 0.5) * 0.6),
+  },
+};
+
+// Each parameter is base + Σ weight × driver, following the orientations in
+// the system prompt. Weights are hand-tuned; results are clamped afterwards.
+const PARAMETER_FORMULAS = {
+  Fit: { base: 0.45, terms: { cold: -0.25, activity: 0.35, heat: 0.15, formality: -0.15 } },
+  Mesh: { base: 0.35, terms: { cold: 0.3, formality: 0.35, activity: -0.3 } },
+  Thickness: { base: 0.05, terms: { cold: 0.6, windExposure: 0.25, coldExposure: 0.2 } },
+  Airflow: { base: 0.45, terms: { coldExposure: 0.35, wind: 0.1, heat: -0.3, humidity: -0.15, activity: -0.25 } },
+  Support: { base: 0.15, terms: { activity: 0.35, formality: 0.3, instability: 0.25 } },
+};
+
+// Contribution of each driver to each parameter, largest effect first
+function computeContributions(factors) {
+  const driverValues = {};
+  Object.entries(DRIVERS).forEach(([name, driver]) => {
+    driverValues[name] = driver.value(factors);
+  });
+
+  const contributions = {};
+  Object.entries(PARAMETER_FORMULAS).forEach(([key, formula]) => {
+    contributions[key] = Object.entries(formula.terms)
+      .map(([driver, weight]) => ({ driver, amount: weight * driverValues[driver] }))
+      .sort((a, b) => Math.abs(b.amount) - Math.abs(a.amount));
+  });
+  return contributions;
+}
+
+export function parametersFromFactors(factors) {
+  const contributions = computeContributions(factors);
+  const raw = {};
+  Object.entries(PARAMETER_FORMULAS).forEach(([key, formula]) => {
+    raw[key] = contributions[key].reduce((sum, term) => sum + term.amount, formula.base);
+  });
+  return raw;
+}
+
+// One sentence per parameter naming the (at most two) strongest drivers and
+// the words in the text that triggered them
+function buildRationale(factors, contributions) {
+  const rationale = {};
+  GARMENT_PARAMETERS.forEach((param) => {
+    const byDirection = new Map();
+    contributions[param.key]
+      .filter((term) => Math.abs(term.amount) >= 0.03)
+      .slice(0, 2)
+      .forEach((term) => {
+        const driver = DRIVERS[term.driver];
+        const cues = driver.from.flatMap((name) => factors[name].cues);
+        const direction = (term.amount > 0 ? param.highLabel : param.lowLabel).toLowerCase();
+        const reason = `${driver.describe}${cues.length > 0 ? ` (${cues.join(", ")})` : ""}`;
+        byDirection.set(direction, [...(byDirection.get(direction) || []), reason]);
+      });
+
+    rationale[param.key] = byDirection.size > 0
+      ? `Pushed ${[...byDirection].map(([direction, reasons]) => `toward ${direction} by ${reasons.join(" and ")}`).join("; ")}.`
+      : "Nothing in the text moved this away from a neutral value.";
+  });
+  return rationale;
+}
+
+// `explain` adds the extracted factors and a rationale per parameter, in the
+// same shape the model returns them
+export function analyzeTextLocally(text, { explain = false } = {}) {
+  const factors = extractSituationFactors(text);
+  const contributions = computeContributions(factors);
+  const { values } = normalizeParameters(parametersFromFactors(factors));
+
+  Object.keys(values).forEach((key) => {
+    values[key] = round2(values[key]);
+  });
+  if (!explain) return values;
+
+  const factorValues = {};
+  Object.entries(factors).forEach(([name, factor]) => {
+    factorValues[name] = name === "temperature" ? Math.round(factor.value) : round2(factor.value);
+  });
+
+  return {
+    ...values,
+    factors: factorValues,
+    rationale: buildRationale(factors, contributions),
+  };
+}
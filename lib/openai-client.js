@@ -2,62 +2,44 @@
 // ⚠️ WARNING: This exposes your API key in the browser!
 // Only use this for GitHub Pages deployment. For production, use server-side API routes.
 
-import OpenAI from "openai";
+import { runBatch, validateBatch } from "./batch";
+import { analyzeWithCache } from "./cache/analysis-cache";
+import { getBrowserAnalysisCache } from "./cache/browser-store";
+import { PROVIDER_IDS, createProvider } from "./providers";
 
-export async function analyzeTextClientSide(text, apiKey) {
+function createClientProvider(apiKey) {
   if (!apiKey) {
     throw new Error("OpenAI API key is required");
   }
 
-  const client = new OpenAI({
-    apiKey: apiKey,
+  // NEXT_PUBLIC_ variables are inlined at build time, so read them literally
+  const baseURL = process.env.NEXT_PUBLIC_ANALYZER_BASE_URL;
+  return createProvider({
+    id: baseURL ? PROVIDER_IDS.COMPATIBLE : PROVIDER_IDS.OPENAI,
+    apiKey,
+    baseURL,
+    model: process.env.NEXT_PUBLIC_ANALYZER_MODEL,
     dangerouslyAllowBrowser: true, // Required for client-side usage
   });
-
-  const response = await client.chat.completions.create({
-    model: "gpt-4o",
-    response_format: { type: "json_object" },
-    messages: [
-      {
-        role: "system",
-        content: `You are a garment behavior interpreter. 
-
-Your job is to read a short paragraph describing someone's situation and convert it into 5 normalized values between 0 and 1.
-
-Return only a JSON object like:
-
-{
-  "Fit": float,
-  "Mesh": float,
-  "Thickness": float,
-  "Airflow": float,
-  "Support": float
 }
 
-Use these orientations and meanings:
-
-- Fit: 0 = close/tight, 1 = loose/relaxed
-  Influenced by temperature (colder → closer), activity (higher → looser), containment need (higher → closer).
-
-- Mesh: 0 = open/coarse, 1 = fine/tight
-  Colder → finer, formal → finer, active → coarser, sleek aesthetics → finer.
-
-- Thickness: 0 = thin, 1 = thick
-  Driven by cold temperature, wind speed, and time outdoors.
-
-- Airflow: 0 = most breathable, 1 = least breathable
-  Hotter/humid/active → more breathable (lower); cold/outdoor → less breathable (higher).
-
-- Support: 0 = soft/flexible, 1 = rigid/structured
-  Driven by physical demand, need for grounding, formality, and environmental instability.
-
-Be consistent, numeric, and concise. 
-Output only the JSON, no explanation.`,
-      },
-      { role: "user", content: text },
-    ],
-  });
-
-  return JSON.parse(response.choices[0].message.content);
+// `options.explain` also returns situation factors and per-parameter rationale;
+// answers are cached in IndexedDB unless `options.force` asks for a fresh one
+export async function analyzeTextClientSide(text, apiKey, options = {}) {
+  const provider = createClientProvider(apiKey);
+  const result = await analyzeWithCache(getBrowserAnalysisCache(), provider, text, options);
+  return { ...result, provider: provider.id };
 }
 
+// The browser side of batch mode in /api/analyze: same items, same
+// per-item errors (see runBatch in lib/batch.js)
+export async function analyzeBatchClientSide(texts, apiKey, { explain, force, concurrency, onItem, signal } = {}) {
+  validateBatch(texts);
+  const provider = createClientProvider(apiKey);
+  const cache = getBrowserAnalysisCache();
+  return runBatch(
+    texts,
+    async (text) => ({ ...(await analyzeWithCache(cache, provider, text, { explain, force })), provider: provider.id }),
+    { concurrency, onItem, signal }
+  );
+}
@@ -0,0 +1,98 @@
+// Permalinks: one result in the URL hash, so opening a shared link restores
+// the exact visualization (on the static build too) without calling the
+// analyzer. The hash is a query string, e.g.
+//
+//   #text=Rainy%20commute&p=0.3,0.62,0.55,0.4,0.8&seed=1234&view=0.12,-0.4,1.2,0,0&profile=minimal
+//
+//   text     the description
+//   p        parameter values in PARAMETER_KEYS order (Fit, Mesh, Thickness, Airflow, Support)
+//   seed     render seed, optional (see lib/random.js)
+//   view     camera pose as rotationX, rotationY, zoom, panX, panY, optional
+//   profile  mapping profile, left out for the default
+//
+// The hash never reaches a server, so GitHub Pages serves the page as usual
+// and long descriptions are fine.
+
+import { PARAMETER_KEYS, validateParameters } from "./garment-schema";
+import { validateSeed } from "./catalog/entry";
+import { createView } from "./fabric/camera";
+import { DEFAULT_MAPPING_PROFILE, isMappingProfile } from "./fabric/mapping";
+
+// Rotation is kept to about a hundredth of a degree
+const VIEW_DIGITS = 4;
+
+export function encodePermalink({ text, parameters, seed, view, mappingProfile }) {
+  // Built by hand rather than with URLSearchParams so the commas stay readable
+  const fields = [
+    ["text", encodeURIComponent(text || "")],
+    // String() gives the shortest form that reads back as the same number
+    ["p", PARAMETER_KEYS.map((key) => String(parameters[key])).join(",")],
+  ];
+  if (seed !== undefined) fields.push(["seed", String(seed)]);
+  if (view) {
+    const { rotationX, rotationY, zoom, panX, panY } = createView(view);
+    fields.push(["view", [rotationX, rotationY, zoom, panX, panY].map((value) => +value.toFixed(VIEW_DIGITS)).join(",")]);
+  }
+  if (mappingProfile && mappingProfile !== DEFAULT_MAPPING_PROFILE) {
+    fields.push(["profile", encodeURIComponent(mappingProfile)]);
+  }
+  return fields.map(([name, value]) => `${name}=${value}`).join("&");
+}
+
+// Full URL for `state` on the page at `location` (window.location)
+export function permalinkUrl(location, state) {
+  return `${location.origin}${location.pathname}${location.search}#${encodePermalink(state)}`;
+}
+
+const parseNumbers = (value) => value.split(",").map((part) => (part.trim() === "" ? NaN : Number(part)));
+
+// Read a permalink from a location hash. `state` is null when the hash holds
+// no permalink or `errors` lists what is wrong with it.
+export function decodePermalink(hash) {
+  const params = new URLSearchParams((hash || "").replace(/^#/, ""));
+  if (!params.has("p")) return { state: null, errors: [] };
+
+  const errors = [];
+  const values = parseNumbers(params.get("p"));
+  if (values.length !== PARAMETER_KEYS.length) {
+    errors.push(`"p" must list ${PARAMETER_KEYS.length} values (${PARAMETER_KEYS.join(", ")}).`);
+  }
+  const parameters = {};
+  PARAMETER_KEYS.forEach((key, i) => {
+    parameters[key] = values[i];
+  });
+  if (errors.length === 0) errors.push(...validateParameters(parameters));
+
+  let seed;
+  if (params.has("seed")) {
+    seed = Number(params.get("seed"));
+    errors.push(...validateSeed(seed));
+  }
+
+  let view;
+  if (params.has("view")) {
+    // Links made before pan was added have three values
+    const [rotationX, rotationY, zoom, panX = 0, panY = 0] = parseNumbers(params.get("view"));
+    if (![rotationX, rotationY, zoom, panX, panY].every(Number.isFinite) || zoom <= 0) {
+      errors.push(`"view" must be rotationX, rotationY, a positive zoom and optionally panX, panY.`);
+    }
+    view = { rotationX, rotationY, zoom, panX, panY };
+  }
+
+  const profile = params.get("profile");
+  if (profile !== null && !isMappingProfile(profile)) {
+    errors.push(`Unknown mapping profile "${profile}".`);
+  }
+
+  if (errors.length > 0) return { state: null, errors };
+  return {
+    state: {
+      text: params.get("text") || "",
+      parameters,
+      seed,
+      view,
+      mappingProfile: profile || DEFAULT_MAPPING_PROFILE,
+    },
+    errors: [],
+  };
+}
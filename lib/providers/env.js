@@ -0,0 +1,35 @@
+// Server-only: build the analyzer provider from environment variables.
+//
+//   ANALYZER_PROVIDER   openai (default) | compatible | mock | local
+//   ANALYZER_MODEL      model name, defaults to gpt-4o
+//   ANALYZER_BASE_URL   base URL of an OpenAI-compatible server (compatible)
+//   ANALYZER_API_KEY    API key; falls back to OPENAI_API_KEY
+//   ANALYZER_FIXTURES   fixture file for the mock provider,
+//                       defaults to fixtures/analyze-responses.json
+
+import fs from "fs";
+import path from "path";
+import { PROVIDER_IDS, createProvider } from "./index";
+
+const DEFAULT_FIXTURES_PATH = path.join(process.cwd(), "fixtures", "analyze-responses.json");
+
+export function providerConfigFromEnv(env = process.env) {
+  const id = env.ANALYZER_PROVIDER || PROVIDER_IDS.OPENAI;
+  const config = {
+    id,
+    model: env.ANALYZER_MODEL,
+    baseURL: env.ANALYZER_BASE_URL,
+    apiKey: env.ANALYZER_API_KEY || env.OPENAI_API_KEY,
+  };
+
+  if (id === PROVIDER_IDS.MOCK) {
+    const fixturesPath = env.ANALYZER_FIXTURES || DEFAULT_FIXTURES_PATH;
+    config.fixtures = JSON.parse(fs.readFileSync(fixturesPath, "utf8"));
+  }
+
+  return config;
+}
+
+export function createProviderFromEnv(env = process.env) {
+  return createProvider(providerConfigFromEnv(env));
+}
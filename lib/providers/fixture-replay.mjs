@@ -0,0 +1,52 @@
+// Replay of recorded model answers, shared by the in-process mock provider
+// (mock.js) and the stand-in HTTP server (scripts/mock-llm-server.mjs). An
+// .mjs module, so plain Node loads it as well as the Next build.
+//
+// Fixture shape (see fixtures/analyze-responses.json):
+//   {
+//     "responses": { "<user text>": ["<1st answer>", "<answer to repair re-ask>"] },
+//     "default": ["<answer for unknown text>"]
+//   }
+// Each entry is a list so a malformed answer followed by its correction can
+// be recorded; the Nth call for the same text replays the Nth answer (the
+// last answer repeats once the list runs out).
+//
+// Answers are keyed by the text alone, not by whether an explanation was
+// asked for. Most recordings are plain answers; "Dinner on a chilly
+// terrace..." is an explain-mode one, with factors and rationale. Asking for
+// an explanation of a plain recording gets the same answer again on the
+// repair re-ask, so the result has values but no factors or rationale.
+
+// Characters per piece when an answer is streamed
+export const STREAM_CHUNK_SIZE = 12;
+
+export function normalizeFixtureText(text) {
+  return String(text || "").trim().replace(/\s+/g, " ").toLowerCase();
+}
+
+// Returns answerFor(messages): the recorded answer for a chat request, or
+// null when the text has none and there is no default. The situation text is
+// the first user message; later ones are repair re-asks.
+export function createFixtureReplay(fixtures) {
+  const responses = {};
+  Object.entries(fixtures?.responses || {}).forEach(([text, answers]) => {
+    responses[normalizeFixtureText(text)] = [].concat(answers);
+  });
+  const fallback = fixtures?.default ? [].concat(fixtures.default) : null;
+
+  return (messages) => {
+    const userMessages = messages.filter((message) => message.role === "user");
+    const answers = responses[normalizeFixtureText(userMessages[0]?.content)] || fallback;
+    if (!answers) return null;
+    return answers[Math.min(userMessages.length - 1, answers.length - 1)];
+  };
+}
+
+// `content` cut into the pieces a stream replays, in order
+export function streamPieces(content) {
+  const pieces = [];
+  for (let start = 0; start < content.length; start += STREAM_CHUNK_SIZE) {
+    pieces.push(content.slice(start, start + STREAM_CHUNK_SIZE));
+  }
+  return pieces;
+}
@@ -0,0 +1,68 @@
+// Analyzer provider registry.
+// A provider is either a "chat" provider ({ id, model, kind: "chat",
+// complete(messages) → string }) whose output goes through validation and
+// repair in lib/analyzer.js, or a "rules" provider ({ id, kind: "rules",
+// analyze(text) }) that returns parameters directly. Chat providers may also
+// have stream(messages, onContent) → string, which calls onContent with the
+// answer so far as it arrives.
+
+import { createOpenAIProvider } from "./openai";
+import { createMockProvider } from "./mock";
+import { LOCAL_PROVIDER_ID, analyzeTextLocally } from "../local-analyzer";
+import { AnalysisError, ERROR_CODES } from "../errors";
+
+export const PROVIDER_IDS = {
+  OPENAI: "openai",
+  COMPATIBLE: "compatible",
+  MOCK: "mock",
+  LOCAL: LOCAL_PROVIDER_ID,
+};
+
+export const DEFAULT_MODEL = "gpt-4o";
+
+export function createProvider(config = {}) {
+  const id = config.id || PROVIDER_IDS.OPENAI;
+
+  switch (id) {
+    case PROVIDER_IDS.OPENAI:
+      if (!config.apiKey) {
+        throw new AnalysisError(ERROR_CODES.PROVIDER_NOT_CONFIGURED, "OpenAI API key not configured");
+      }
+      return createOpenAIProvider({
+        id,
+        apiKey: config.apiKey,
+        model: config.model || DEFAULT_MODEL,
+        dangerouslyAllowBrowser: config.dangerouslyAllowBrowser,
+      });
+
+    case PROVIDER_IDS.COMPATIBLE:
+      if (!config.baseURL) {
+        throw new AnalysisError(ERROR_CODES.PROVIDER_NOT_CONFIGURED, "Base URL not configured for the OpenAI-compatible provider");
+      }
+      return createOpenAIProvider({
+        id,
+        // Most self-hosted servers ignore the key, but the SDK requires one
+        apiKey: config.apiKey || "not-needed",
+        baseURL: config.baseURL,
+        model: config.model || DEFAULT_MODEL,
+        dangerouslyAllowBrowser: config.dangerouslyAllowBrowser,
+      });
+
+    case PROVIDER_IDS.MOCK:
+      if (!config.fixtures) {
+        throw new AnalysisError(ERROR_CODES.PROVIDER_NOT_CONFIGURED, "No fixtures loaded for the mock provider");
+      }
+      return createMockProvider({ id, fixtures: config.fixtures, model: config.model });
+
+    case PROVIDER_IDS.LOCAL:
+      return {
+        id,
+        model: "rules",
+        kind: "rules",
+        analyze: analyzeTextLocally,
+      };
+
+    default:
+      throw new AnalysisError(ERROR_CODES.PROVIDER_NOT_CONFIGURED, `Unknown analyzer provider "${id}"`);
+  }
+}
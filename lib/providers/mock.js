@@ -0,0 +1,35 @@
+// Fixture-replay provider: answers chat requests from recorded responses
+// instead of calling a model, so the analyzer can run without network. The
+// fixture format and replay order are in fixture-replay.mjs. stream() replays
+// the answer in small pieces, so streaming progress can be exercised offline
+// too.
+
+import { createFixtureReplay, streamPieces } from "./fixture-replay.mjs";
+
+export function createMockProvider({ id, fixtures, model = "fixture-replay" }) {
+  const answerFor = createFixtureReplay(fixtures);
+
+  const complete = async (messages) => {
+    const answer = answerFor(messages);
+    if (answer === null) {
+      throw new Error("No recorded response for this text and no default fixture");
+    }
+    return answer;
+  };
+
+  return {
+    id,
+    model,
+    kind: "chat",
+    complete,
+    async stream(messages, onContent) {
+      const content = await complete(messages);
+      let received = "";
+      streamPieces(content).forEach((piece) => {
+        received += piece;
+        onContent(received);
+      });
+      return content;
+    },
+  };
+}
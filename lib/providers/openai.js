@@ -0,0 +1,43 @@
+// OpenAI chat provider. Also covers any OpenAI-compatible server
+// (llama.cpp, Ollama, vLLM, ...) by pointing `baseURL` at it.
+
+import OpenAI from "openai";
+
+export function createOpenAIProvider({ id, apiKey, baseURL, model, dangerouslyAllowBrowser = false }) {
+  const client = new OpenAI({
+    apiKey,
+    baseURL,
+    dangerouslyAllowBrowser,
+  });
+
+  return {
+    id,
+    model,
+    kind: "chat",
+    async complete(messages) {
+      const response = await client.chat.completions.create({
+        model,
+        response_format: { type: "json_object" },
+        messages,
+      });
+      return response.choices[0]?.message?.content ?? "";
+    },
+    async stream(messages, onContent) {
+      const stream = await client.chat.completions.create({
+        model,
+        response_format: { type: "json_object" },
+        messages,
+        stream: true,
+      });
+      let content = "";
+      for await (const chunk of stream) {
+        const delta = chunk.choices[0]?.delta?.content;
+        if (delta) {
+          content += delta;
+          onContent(content);
+        }
+      }
+      return content;
+    },
+  };
+}
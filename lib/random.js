@@ -0,0 +1,35 @@
+// Seeded randomness for fabric rendering, so the same seed always draws the
+// same fabric. Seeds are unsigned 32-bit integers; catalog entries derive
+// theirs from their text and parameters (see lib/catalog/entry.js).
+
+import { PARAMETER_KEYS } from "./garment-schema";
+
+export const MAX_SEED = 0xffffffff;
+
+// 32-bit FNV-1a hash of a string
+export function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Seed for a description and its parameter values
+export function seedFromValues(text, parameters) {
+  const values = PARAMETER_KEYS.map((key) => parameters[key]).join(",");
+  return hashString(`${text}\n${values}`);
+}
+
+// mulberry32: returns a function producing floats in [0, 1), like Math.random
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
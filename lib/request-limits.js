@@ -0,0 +1,208 @@
+// Server-only guards for /api/analyze, which forwards text to a paid model:
+// a size-capped body reader with a content-type check, a maximum description
+// length, and per-client token-bucket rate limiting. /api/catalog uses the
+// same body reader and client check for its writes, with a bucket of its
+// own. Everything is kept in the server's memory, so it works under
+// `next start` with no external store; each server process keeps its own
+// buckets.
+//
+//   ANALYZER_RATE_PER_MINUTE   analyses a client may run per minute, default 10; 0 turns limiting off
+//   ANALYZER_RATE_BURST        analyses a client may run back to back, default 10
+//   ANALYZER_MAX_TEXT_LENGTH   characters per description, default 2000
+//   ANALYZER_MAX_BODY_SIZE     request body in bytes, default 262144 (256 KB)
+//   ANALYZER_CLIENT_KEYS       comma-separated keys; a request sending one
+//                              (Authorization: Bearer <key> or X-API-Key) is
+//                              limited per key instead of per address
+//   ANALYZER_TRUST_PROXY       1 to take the address from X-Forwarded-For
+//                              (behind a proxy; on by default on Vercel)
+//   CATALOG_WRITES_PER_MINUTE  catalog changes a client may make per minute,
+//                              and back to back, default 60; 0 turns limiting off
+//
+// Every limit fails with an AnalysisError, so the route answers with the
+// usual { error, code, details } body and status (see errorResponse).
+
+import { AnalysisError, ERROR_CODES } from "./errors";
+
+const DEFAULT_RATE_PER_MINUTE = 10;
+const DEFAULT_RATE_BURST = 10;
+const DEFAULT_MAX_TEXT_LENGTH = 2000;
+const DEFAULT_MAX_BODY_SIZE = 256 * 1024;
+const DEFAULT_CATALOG_WRITES_PER_MINUTE = 60;
+// Buckets remembered at once; the least recently seen client is forgotten
+// beyond this, so a flood of addresses cannot exhaust memory
+const MAX_TRACKED_CLIENTS = 10000;
+
+export const ACCEPTED_CONTENT_TYPES = ["application/json", "text/plain", "text/csv"];
+
+const readNumber = (value, fallback) => {
+  const number = Number(value);
+  return value !== undefined && value !== "" && Number.isFinite(number) && number >= 0 ? number : fallback;
+};
+
+export function requestLimitsFromEnv(env = process.env) {
+  return {
+    ratePerMinute: readNumber(env.ANALYZER_RATE_PER_MINUTE, DEFAULT_RATE_PER_MINUTE),
+    burst: Math.max(1, readNumber(env.ANALYZER_RATE_BURST, DEFAULT_RATE_BURST)),
+    maxTextLength: readNumber(env.ANALYZER_MAX_TEXT_LENGTH, DEFAULT_MAX_TEXT_LENGTH),
+    maxBodySize: readNumber(env.ANALYZER_MAX_BODY_SIZE, DEFAULT_MAX_BODY_SIZE),
+    clientKeys: (env.ANALYZER_CLIENT_KEYS || "").split(",").map((key) => key.trim()).filter(Boolean),
+    trustProxy: env.ANALYZER_TRUST_PROXY === "1" || env.ANALYZER_TRUST_PROXY === "true" || Boolean(env.VERCEL),
+    catalogWritesPerMinute: readNumber(env.CATALOG_WRITES_PER_MINUTE, DEFAULT_CATALOG_WRITES_PER_MINUTE),
+  };
+}
+
+// ---- Rate limiting ----
+
+// Each client starts with `burst` tokens and regains `ratePerMinute` per
+// minute, up to `burst`; every analysis takes one. `now` is for tests.
+export function createRateLimiter({ ratePerMinute, burst, now = () => Date.now() }) {
+  const buckets = new Map(); // client → { tokens, updatedAt }, least recently seen first
+  const perMs = ratePerMinute / 60000;
+
+  // { allowed, remaining, retryAfter } with retryAfter in whole seconds
+  const take = (client, cost = 1) => {
+    const time = now();
+    const bucket = buckets.get(client);
+    const tokens = bucket ? Math.min(burst, bucket.tokens + (time - bucket.updatedAt) * perMs) : burst;
+    const allowed = tokens >= cost;
+    const left = allowed ? tokens - cost : tokens;
+
+    buckets.delete(client);
+    buckets.set(client, { tokens: left, updatedAt: time });
+    while (buckets.size > MAX_TRACKED_CLIENTS) buckets.delete(buckets.keys().next().value);
+
+    return {
+      allowed,
+      remaining: Math.floor(left),
+      retryAfter: allowed ? 0 : Math.ceil((cost - tokens) / perMs / 1000),
+    };
+  };
+
+  return { take };
+}
+
+// Throws RATE_LIMITED once `client` is out of tokens. `limiter` is null when
+// limiting is off; `what` names the limited requests in the message.
+export function consumeRateLimit(limiter, client, what = "analyses") {
+  if (!limiter) return;
+  const { allowed, retryAfter } = limiter.take(client);
+  if (!allowed) {
+    throw new AnalysisError(
+      ERROR_CODES.RATE_LIMITED,
+      `Too many ${what} in a short time. Try again in ${retryAfter} second${retryAfter === 1 ? "" : "s"}.`,
+      { retryAfter }
+    );
+  }
+}
+
+function requestKey(req) {
+  const authorization = req.headers.authorization || "";
+  if (authorization.startsWith("Bearer ")) return authorization.slice(7).trim();
+  return req.headers["x-api-key"] || null;
+}
+
+// Bucket name for a request: its client key when it sends a configured one,
+// otherwise its address. An unknown key is refused rather than given a
+// bucket of its own, which would let anyone dodge the limit. With
+// `requireKey` (and keys configured), a request without one is refused too.
+export function clientIdentity(req, { clientKeys, trustProxy }, { requireKey = false } = {}) {
+  const key = clientKeys.length > 0 ? requestKey(req) : null;
+  if (key) {
+    if (!clientKeys.includes(key)) {
+      throw new AnalysisError(ERROR_CODES.UNAUTHORIZED, "This API key is not recognised.");
+    }
+    return `key:${key}`;
+  }
+  if (requireKey && clientKeys.length > 0) {
+    throw new AnalysisError(ERROR_CODES.UNAUTHORIZED, "Send a client key with this request.");
+  }
+  const forwarded = trustProxy ? String(req.headers["x-forwarded-for"] || "").split(",")[0].trim() : "";
+  return `ip:${forwarded || req.socket?.remoteAddress || "unknown"}`;
+}
+
+// ---- Body and text limits ----
+
+// Read and parse the body of a route that has Next's bodyParser turned off:
+// JSON is parsed, text/plain and text/csv come back as a string. Refuses
+// other content types and bodies over `maxBodySize` bytes, without buffering
+// more than that.
+export function readRequestBody(req, { maxBodySize }) {
+  const [type] = String(req.headers["content-type"] || "").split(";");
+  const contentType = type.trim().toLowerCase();
+  if (!ACCEPTED_CONTENT_TYPES.includes(contentType)) {
+    return Promise.reject(new AnalysisError(
+      ERROR_CODES.UNSUPPORTED_MEDIA_TYPE,
+      `Send the request as ${ACCEPTED_CONTENT_TYPES.join(", ")}.`,
+      { contentType: contentType || null }
+    ));
+  }
+
+  const tooLarge = () => new AnalysisError(
+    ERROR_CODES.REQUEST_TOO_LARGE,
+    `The request is larger than the ${maxBodySize >= 1024 ? `${Math.round(maxBodySize / 1024)} KB` : `${maxBodySize} byte`} limit.`,
+    { maxBodySize }
+  );
+  if (Number(req.headers["content-length"]) > maxBodySize) {
+    return Promise.reject(tooLarge());
+  }
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const onData = (chunk) => {
+      size += chunk.length;
+      if (size > maxBodySize) {
+        // Node discards the rest of the body once the response is sent
+        req.off("data", onData);
+        req.off("end", onEnd);
+        reject(tooLarge());
+        return;
+      }
+      chunks.push(chunk);
+    };
+    const onEnd = () => {
+      const text = Buffer.concat(chunks).toString("utf8");
+      if (contentType !== "application/json") {
+        resolve(text);
+        return;
+      }
+      try {
+        resolve(text ? JSON.parse(text) : {});
+      } catch (err) {
+        reject(new AnalysisError(ERROR_CODES.INVALID_REQUEST, "The request body is not valid JSON.", err.message));
+      }
+    };
+    req.on("data", onData);
+    req.on("end", onEnd);
+    req.on("error", reject);
+  });
+}
+
+// Throws TEXT_TOO_LONG naming the first description over `maxTextLength`
+export function checkTextLength(texts, { maxTextLength }) {
+  const index = texts.findIndex((text) => typeof text === "string" && text.length > maxTextLength);
+  if (index === -1) return;
+  const which = texts.length > 1 ? `Description ${index + 1} is` : "The description is";
+  throw new AnalysisError(
+    ERROR_CODES.TEXT_TOO_LONG,
+    `${which} ${texts[index].length} characters long; the limit is ${maxTextLength}.`,
+    { index, length: texts[index].length, maxTextLength }
+  );
+}
+
+// Limits and rate limiters for this server process, from the environment:
+// `limiter` for analyses and `catalogLimiter` for catalog changes
+let serverLimits;
+export function getServerRequestLimits(env = process.env) {
+  if (!serverLimits) {
+    const limits = requestLimitsFromEnv(env);
+    serverLimits = {
+      ...limits,
+      limiter: limits.ratePerMinute > 0 ? createRateLimiter(limits) : null,
+      catalogLimiter: limits.catalogWritesPerMinute > 0
+        ? createRateLimiter({ ratePerMinute: limits.catalogWritesPerMinute, burst: limits.catalogWritesPerMinute })
+        : null,
+    };
+  }
+  return serverLimits;
+}
@@ -0,0 +1,92 @@
+// Sonification of the five garment parameters: a short phrase with one tone
+// per parameter, in schema order (Fit, Mesh, Thickness, Airflow, Support)
+// and panned from left to right. Pitch rises with the value over two
+// octaves, so a high note is a high value; every tone has the same length
+// and loudness.
+
+import { PARAMETER_KEYS, normalizeParameters } from "./garment-schema";
+
+// A3 at 0 to A5 at 1
+export const TONE_RANGE = { low: 220, high: 880 };
+
+const NOTE_SECONDS = 0.28;
+const GAP_SECONDS = 0.07;
+const PEAK_GAIN = 0.15;
+const ATTACK_SECONDS = 0.02;
+// Farthest left/right a tone is panned
+const STEREO_WIDTH = 0.8;
+
+// Pitch for a 0–1 value, evenly spaced in musical terms
+export function toneFrequency(value) {
+  return TONE_RANGE.low * Math.pow(TONE_RANGE.high / TONE_RANGE.low, value);
+}
+
+// Browsers only start audio after a user gesture: call `resume()` from one,
+// e.g. the click that turns sound on. `play` may then run from a timer.
+export function createSonifier() {
+  let context = null;
+  let oscillators = [];
+
+  const getContext = () => {
+    if (!context) {
+      const AudioContext = window.AudioContext || window.webkitAudioContext;
+      if (!AudioContext) return null;
+      context = new AudioContext();
+    }
+    if (context.state === "suspended") context.resume();
+    return context;
+  };
+
+  // Create or wake the audio context; false when the browser has no Web Audio
+  const resume = () => Boolean(getContext());
+
+  const stop = () => {
+    oscillators.forEach((oscillator) => oscillator.stop());
+    oscillators = [];
+  };
+
+  // Play the phrase for `parameters`, cutting off one still playing.
+  // Returns false when the browser has no Web Audio.
+  const play = (parameters) => {
+    const audio = getContext();
+    if (!audio) return false;
+    stop();
+
+    const { values } = normalizeParameters(parameters);
+    const start = audio.currentTime + 0.05;
+    PARAMETER_KEYS.forEach((key, i) => {
+      const at = start + i * (NOTE_SECONDS + GAP_SECONDS);
+      const oscillator = audio.createOscillator();
+      oscillator.type = "sine";
+      oscillator.frequency.value = toneFrequency(values[key]);
+
+      const gain = audio.createGain();
+      gain.gain.setValueAtTime(0, at);
+      gain.gain.linearRampToValueAtTime(PEAK_GAIN, at + ATTACK_SECONDS);
+      gain.gain.exponentialRampToValueAtTime(0.0001, at + NOTE_SECONDS);
+      oscillator.connect(gain);
+
+      if (audio.createStereoPanner) {
+        const panner = audio.createStereoPanner();
+        panner.pan.value = STEREO_WIDTH * ((2 * i) / (PARAMETER_KEYS.length - 1) - 1);
+        gain.connect(panner);
+        panner.connect(audio.destination);
+      } else {
+        gain.connect(audio.destination);
+      }
+
+      oscillator.start(at);
+      oscillator.stop(at + NOTE_SECONDS);
+      oscillators.push(oscillator);
+    });
+    return true;
+  };
+
+  const dispose = () => {
+    stop();
+    if (context) context.close();
+    context = null;
+  };
+
+  return { resume, play, stop, dispose };
+}
@@ -0,0 +1,70 @@
+// Server-sent events over a plain HTTP response, for routes that report
+// progress while they work. The page reads them from a POST with fetch (the
+// browser's EventSource only does GET), so both ends live here:
+//
+//   event: item
+//   data: {"index":0,...}
+//
+// Each event is a name plus one JSON value, ended by a blank line.
+
+export const EVENT_STREAM_TYPE = "text/event-stream";
+
+// Start an event stream on a Node/Next response
+export function openEventStream(res) {
+  res.writeHead(200, {
+    "Content-Type": `${EVENT_STREAM_TYPE}; charset=utf-8`,
+    // no-transform keeps compression proxies from holding events back
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+  });
+  res.flushHeaders?.();
+
+  return {
+    send(event, data) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      // Next wraps the response in compression middleware that buffers writes
+      res.flush?.();
+    },
+    close() {
+      res.end();
+    },
+  };
+}
+
+function parseEvent(block) {
+  let event = "message";
+  const data = [];
+  block.split(/\r?\n/).forEach((line) => {
+    if (line.startsWith("event:")) event = line.slice(6).trim();
+    else if (line.startsWith("data:")) data.push(line.slice(5).replace(/^ /, ""));
+  });
+  if (data.length === 0) return null;
+  return { event, data: JSON.parse(data.join("\n")) };
+}
+
+// Call onEvent(event, data) for each event in a fetch Response body, as it
+// arrives. Resolves once the server closes the stream.
+export async function readEventStream(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  const flushBlocks = () => {
+    const blocks = buffer.split(/\r?\n\r?\n/);
+    buffer = blocks.pop();
+    blocks.forEach((block) => {
+      const parsed = parseEvent(block);
+      if (parsed) onEvent(parsed.event, parsed.data);
+    });
+  };
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    flushBlocks();
+  }
+  buffer += decoder.decode();
+  buffer += "\n\n";
+  flushBlocks();
+}
@@ -1,8 +1,128 @@
-import OpenAI from "openai";
+import { clampConcurrency, parseBatchInput, runBatch, validateBatch } from "../../lib/batch";
+import { analyzeWithCache } from "../../lib/cache/analysis-cache";
+import { getServerAnalysisCache } from "../../lib/cache/file-store";
+import { AnalysisError, ERROR_CODES, errorResponse } from "../../lib/errors";
+import { createProviderFromEnv } from "../../lib/providers/env";
+import {
+  checkTextLength,
+  clientIdentity,
+  consumeRateLimit,
+  getServerRequestLimits,
+  readRequestBody,
+} from "../../lib/request-limits";
+import { EVENT_STREAM_TYPE, openEventStream } from "../../lib/sse";
+
+// The body is read by readRequestBody, which enforces the size and
+// content-type limits with the same structured errors as everything else
+export const config = {
+  api: { bodyParser: false },
+};
+
+// Batch mode: { texts: [...] } as JSON, or a text/plain or text/csv upload
+// (one description per line, or a CSV with a text column). Options for an
+// upload go in the query string (?explain=1&force=1&concurrency=4).
+function readBatch(req) {
+  const flag = (value) => value === "1" || value === "true";
+  if (typeof req.body === "string") {
+    return {
+      texts: parseBatchInput(req.body),
+      explain: flag(req.query.explain),
+      force: flag(req.query.force),
+      concurrency: req.query.concurrency,
+    };
+  }
+  if (Array.isArray(req.body?.texts)) {
+    return {
+      texts: req.body.texts,
+      explain: Boolean(req.body.explain),
+      force: Boolean(req.body.force),
+      concurrency: req.body.concurrency,
+    };
+  }
+  return null;
+}
+
+// Streams server-sent events (lib/sse.js) while the batch runs:
+//   start  { total, concurrency }
+//   item   { index, text, result } or { index, text, error: { error, code, details } }, as each finishes
+//   done   { total, succeeded, failed, stopped }
+// A batch that runs into the rate limit stops there instead of failing the
+// rest item by item: the refused items are left out and `stopped` holds the
+// RATE_LIMITED error (null when the batch ran to the end).
+async function handleBatch(res, analyze, { texts, explain, force, concurrency }) {
+  validateBatch(texts);
+  // ANALYZER_BATCH_CONCURRENCY caps what a request may ask for
+  const limit = clampConcurrency(process.env.ANALYZER_BATCH_CONCURRENCY);
+  const workers = Math.min(limit, clampConcurrency(concurrency ?? limit));
+
+  // Stop starting new items once the page goes away. The request has been
+  // read in full by now and already closed, so watch the response: it
+  // closes early only when the client disconnects.
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  let succeeded = 0;
+  let failed = 0;
+  let stopped = null;
+  const stream = openEventStream(res);
+  stream.send("start", { total: texts.length, concurrency: workers });
+  await runBatch(
+    texts,
+    (text) => analyze(text, { explain, force }),
+    {
+      concurrency: workers,
+      signal: controller.signal,
+      onItem: (item) => {
+        if (item.error?.code === ERROR_CODES.RATE_LIMITED) {
+          stopped = stopped || item.error;
+          controller.abort();
+          return;
+        }
+        if (item.error) {
+          console.error(`Batch item ${item.index} failed:`, item.error);
+          failed += 1;
+        } else {
+          succeeded += 1;
+        }
+        stream.send("item", item);
+      },
+    }
+  );
+  stream.send("done", { total: texts.length, succeeded, failed, stopped });
+  stream.close();
+}
+
+// Streaming mode for one text: { "text": "...", "stream": true }, or an
+// Accept: text/event-stream header. Server-sent events (lib/sse.js):
+//   progress  { stage, attempt, parameters }, as the answer comes in (see ANALYSIS_STAGES)
+//   result    the same body a plain request gets
+//   error     { error, code, details }
+// The stream opens with the first event, so an error before it (such as
+// RATE_LIMITED) is thrown and answered with its usual status instead.
+async function handleStream(res, analyze, text, options) {
+  let stream = null;
+  const send = (event, data) => {
+    if (!stream) stream = openEventStream(res);
+    stream.send(event, data);
+  };
+  try {
+    const result = await analyze(text, {
+      ...options,
+      onProgress: (progress) => send("progress", progress),
+    });
+    send("result", result);
+  } catch (error) {
+    if (!stream) throw error;
+    console.error("API Error:", error);
+    stream.send("error", errorResponse(error).body);
+  }
+  stream.close();
+}
 
-const client = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+const wantsStream = (req) =>
+  req.body?.stream === true || (req.headers.accept || "").includes(EVENT_STREAM_TYPE);
 
 export default async function handler(req, res) {
   // Only allow POST requests
@@ -11,68 +131,50 @@ export default async function handler(req, res) {
   }
 
   try {
-    const userText = req.body.text;
+    // Size, content type, description length and rate limits; see lib/request-limits.js
+    const limits = getServerRequestLimits();
+    req.body = await readRequestBody(req, limits);
+    const client = clientIdentity(req, limits);
 
-    if (!userText) {
-      return res.status(400).json({ error: "Text is required" });
-    }
+    const batch = readBatch(req);
+    const userText = req.body?.text;
 
-    if (!process.env.OPENAI_API_KEY) {
-      return res.status(500).json({ error: "OpenAI API key not configured" });
+    if (!batch && (typeof userText !== "string" || !userText.trim())) {
+      throw new AnalysisError(ERROR_CODES.INVALID_REQUEST, "Text is required");
     }
-
-    const response = await client.chat.completions.create({
-      model: "gpt-4o", // Note: GPT-5 not yet available, using gpt-4o as fallback
-      response_format: { type: "json_object" },
-      messages: [
-        {
-          role: "system",
-          content: `You are a garment behavior interpreter. 
-
-Your job is to read a short paragraph describing someone's situation and convert it into 5 normalized values between 0 and 1.
-
-Return only a JSON object like:
-
-{
-  "Fit": float,
-  "Mesh": float,
-  "Thickness": float,
-  "Airflow": float,
-  "Support": float
-}
-
-Use these orientations and meanings:
-
-- Fit: 0 = close/tight, 1 = loose/relaxed
-  Influenced by temperature (colder → closer), activity (higher → looser), containment need (higher → closer).
-
-- Mesh: 0 = open/coarse, 1 = fine/tight
-  Colder → finer, formal → finer, active → coarser, sleek aesthetics → finer.
-
-- Thickness: 0 = thin, 1 = thick
-  Driven by cold temperature, wind speed, and time outdoors.
-
-- Airflow: 0 = most breathable, 1 = least breathable
-  Hotter/humid/active → more breathable (lower); cold/outdoor → less breathable (higher).
-
-- Support: 0 = soft/flexible, 1 = rigid/structured
-  Driven by physical demand, need for grounding, formality, and environmental instability.
-
-Be consistent, numeric, and concise. 
-Output only the JSON, no explanation.`,
-        },
-        { role: "user", content: userText },
-      ],
+    checkTextLength(batch ? batch.texts : [userText], limits);
+
+    // Provider (OpenAI, OpenAI-compatible server, fixture mock or offline
+    // rules) is chosen by ANALYZER_PROVIDER; see lib/providers/env.js
+    const provider = createProviderFromEnv();
+    // Answers are reused from the cache (lib/cache) unless `force` is set;
+    // cached ones come back with `cached: true`. Only fresh answers take a
+    // rate-limit token: the cache costs the model nothing.
+    const cache = getServerAnalysisCache();
+    const analyze = async (text, options) => ({
+      ...(await analyzeWithCache(cache, provider, text, {
+        ...options,
+        beforeAnalyze: () => consumeRateLimit(limits.limiter, client),
+      })),
+      provider: provider.id,
     });
 
-    const result = JSON.parse(response.choices[0].message.content);
-    res.status(200).json(result);
+    if (batch) {
+      return await handleBatch(res, analyze, batch);
+    }
+
+    // `explain: true` adds extracted situation factors and a rationale per parameter
+    const options = { explain: Boolean(req.body.explain), force: Boolean(req.body.force) };
+    if (wantsStream(req)) {
+      return await handleStream(res, analyze, userText, options);
+    }
+    res.status(200).json(await analyze(userText, options));
   } catch (error) {
     console.error("API Error:", error);
-    res.status(500).json({ 
-      error: "Analysis failed.",
-      details: error.message 
-    });
+    const { status, body } = errorResponse(error);
+    if (error.code === ERROR_CODES.RATE_LIMITED) {
+      res.setHeader("Retry-After", String(error.details.retryAfter));
+    }
+    res.status(status).json(body);
   }
 }
-
@@ -0,0 +1,115 @@
+import { AnalysisError, ERROR_CODES, errorResponse } from "../../lib/errors";
+import { normalizeEntry, setSeed, validateOverrides, validateSeed, withOverrides } from "../../lib/catalog/entry";
+import { DEFAULT_CATALOG_FILE, createFileCatalog } from "../../lib/catalog/file-store";
+import { clientIdentity, consumeRateLimit, getServerRequestLimits, readRequestBody } from "../../lib/request-limits";
+
+// The body is read by readRequestBody, with the same size and content-type
+// limits as /api/analyze
+export const config = {
+  api: { bodyParser: false },
+};
+
+// Server-side living catalog, persisted to CATALOG_FILE (data/catalog.json by default)
+const catalog = createFileCatalog(process.env.CATALOG_FILE || DEFAULT_CATALOG_FILE);
+
+// Most entries the file may hold (CATALOG_MAX_ENTRIES); POST refuses more
+const DEFAULT_MAX_ENTRIES = 5000;
+const maxEntries = Number(process.env.CATALOG_MAX_ENTRIES) || DEFAULT_MAX_ENTRIES;
+
+// Changes (POST, PATCH, DELETE) need a known client key when
+// ANALYZER_CLIENT_KEYS is set, and are rate limited per client; reads are open
+async function guardWrite(req) {
+  const limits = getServerRequestLimits();
+  const client = clientIdentity(req, limits, { requireKey: true });
+  consumeRateLimit(limits.catalogLimiter, client, "catalog changes");
+  if (req.method !== "DELETE") req.body = await readRequestBody(req, limits);
+}
+
+export default async function handler(req, res) {
+  try {
+    const { id } = req.query;
+    if (["POST", "PATCH", "DELETE"].includes(req.method)) await guardWrite(req);
+
+    switch (req.method) {
+      case "GET": {
+        if (id) {
+          const entry = await catalog.get(id);
+          if (!entry) return res.status(404).json({ error: "Entry not found" });
+          return res.status(200).json(entry);
+        }
+        return res.status(200).json({ entries: await catalog.list() });
+      }
+
+      case "POST": {
+        const { entry, errors } = normalizeEntry(req.body);
+        if (!entry) {
+          return res.status(400).json({
+            error: "Invalid catalog entry.",
+            code: ERROR_CODES.INVALID_ENTRY,
+            details: errors,
+          });
+        }
+        // A taken id is refused, never silently replaced; PATCH edits an entry
+        const { entry: created, refused } = await catalog.create(entry, { maxEntries });
+        if (refused === "exists") {
+          throw new AnalysisError(ERROR_CODES.ENTRY_EXISTS, `An entry with id ${entry.id} already exists.`, { id: entry.id });
+        }
+        if (refused === "full") {
+          throw new AnalysisError(ERROR_CODES.CATALOG_FULL, `The catalog is full (${maxEntries} entries).`, { maxEntries });
+        }
+        return res.status(201).json(created);
+      }
+
+      // Hand edits: `overrides` replaces the edited values ({} clears them),
+      // `seed` replaces the render seed
+      case "PATCH": {
+        if (!id) return res.status(400).json({ error: "Entry id is required" });
+        const { overrides, seed } = req.body || {};
+        const errors = [];
+        if (overrides === undefined && seed === undefined) {
+          errors.push('Send "overrides", "seed" or both.');
+        }
+        if (overrides !== undefined) errors.push(...validateOverrides(overrides));
+        if (seed !== undefined) errors.push(...validateSeed(seed));
+        if (errors.length > 0) {
+          return res.status(400).json({
+            error: "Invalid entry changes.",
+            code: ERROR_CODES.INVALID_ENTRY,
+            details: errors,
+          });
+        }
+
+        const existing = await catalog.get(id);
+        if (!existing) return res.status(404).json({ error: "Entry not found" });
+        let edited = existing;
+        if (overrides !== undefined) edited = withOverrides(edited, overrides);
+        if (seed !== undefined) edited = setSeed(edited, seed);
+        return res.status(200).json(await catalog.update(id, { overrides: edited.overrides, seed: edited.seed }));
+      }
+
+      case "DELETE": {
+        if (!id) return res.status(400).json({ error: "Entry id is required" });
+        await catalog.remove(id);
+        return res.status(204).end();
+      }
+
+      default:
+        res.setHeader("Allow", "GET, POST, PATCH, DELETE");
+        return res.status(405).json({ error: "Method not allowed" });
+    }
+  } catch (error) {
+    // Refusals (limits, keys, conflicts) answer with their own status
+    if (error instanceof AnalysisError) {
+      const { status, body } = errorResponse(error);
+      if (error.code === ERROR_CODES.RATE_LIMITED) {
+        res.setHeader("Retry-After", String(error.details.retryAfter));
+      }
+      return res.status(status).json(body);
+    }
+    console.error("Catalog Error:", error);
+    res.status(500).json({
+      error: "Catalog operation failed.",
+      details: error.message,
+    });
+  }
+}
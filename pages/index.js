@@ -1,12 +1,51 @@
-import { useState, useEffect, useCallback } from "react";
+import { useState, useEffect, useCallback, useRef } from "react";
 import Head from "next/head";
 import dynamic from "next/dynamic";
+import { GARMENT_PARAMETERS, SITUATION_FACTORS } from "../lib/garment-schema";
+import { AnalysisError, ERROR_CODES, analysisErrorFromResponse, describeError } from "../lib/errors";
+import { ANALYSIS_STAGES, readAnalysisStream } from "../lib/analyzer";
+import { LOCAL_PROVIDER_ID, analyzeTextLocally } from "../lib/local-analyzer";
+import {
+  clearOverrides,
+  createEntry,
+  defaultSeed,
+  entrySeed,
+  entryToResult,
+  setOverride,
+  setSeed,
+  sortEntriesByDate,
+} from "../lib/catalog/entry";
+import { getBrowserCatalog } from "../lib/catalog/browser-store";
+import { analyzeBatchOnServer, runBatch, validateBatch } from "../lib/batch";
+import { CAMERA_PRESETS, createView } from "../lib/fabric/camera";
+import { DEFAULT_MAPPING_PROFILE, MAPPING_PROFILES, isMappingProfile } from "../lib/fabric/mapping";
+import { decodePermalink } from "../lib/permalink";
+import { createSonifier } from "../lib/sonify";
+import { EVENT_STREAM_TYPE } from "../lib/sse";
+import CatalogPanel from "../components/CatalogPanel";
+import CaptureControls from "../components/CaptureControls";
+import CompareView from "../components/CompareView";
+import CopyLinkButton from "../components/CopyLinkButton";
+import ExportControls from "../components/ExportControls";
+import FabricThumbnail from "../components/FabricThumbnail";
+import ParameterSlider from "../components/ParameterSlider";
+import SeedField from "../components/SeedField";
+import { choiceStyle, inlineLinkButtonStyle, optionButtonStyle } from "../components/styles";
 
 const FabricVisualizer = dynamic(() => import("../components/FabricVisualizer"), {
   ssr: false,
   loading: () => <div style={{ color: "#ccc", fontSize: "14px", fontWeight: 300 }}>Loading visualization...</div>
 });
 
+// What the loading overlay says while an analysis streams in
+const STAGE_LABELS = {
+  [ANALYSIS_STAGES.WAITING]: "Reading the description",
+  [ANALYSIS_STAGES.PARAMETERS]: "Choosing values",
+  [ANALYSIS_STAGES.EXPLAINING]: "Writing the explanation",
+  [ANALYSIS_STAGES.CHECKING]: "Checking the answer",
+  [ANALYSIS_STAGES.REPAIRING]: "Asking the model to correct its answer",
+};
+
 // Dynamically import client-side API (only if needed for GitHub Pages)
 let analyzeTextClientSide = null;
 let clientSideModulePromise = null;
@@ -26,7 +65,37 @@ export default function Home() {
   const [input, setInput] = useState("");
   const [result, setResult] = useState(null);
   const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  // Stage and values decided so far while an analysis streams in (see
+  // analyzeWithProvider's onProgress); null when idle or not streaming
+  const [progress, setProgress] = useState(null);
+  // Parameter whose rationale is expanded under its slider
+  const [expandedParam, setExpandedParam] = useState(null);
   const [showIntro, setShowIntro] = useState(false);
+  // "model" goes through /api/analyze (or the client-side fallback), "local" never leaves the browser
+  const [provider, setProvider] = useState(process.env.NEXT_PUBLIC_ANALYZER_PROVIDER || "model");
+  // Living catalog: every analysis is kept in IndexedDB, newest first
+  const [catalogEntries, setCatalogEntries] = useState([]);
+  const [selectedEntryId, setSelectedEntryId] = useState(null);
+  // Entry shown against the selected one in compare mode
+  const [compareEntryId, setCompareEntryId] = useState(null);
+  // How parameters become geometry in every fabric view (lib/fabric/mapping-profiles.json)
+  const [mappingProfile, setMappingProfile] = useState(DEFAULT_MAPPING_PROFILE);
+  // Render seed from an opened permalink, for a result that is not in the catalog
+  const [linkSeed, setLinkSeed] = useState(null);
+  // Camera of the main visualizer (lib/fabric/camera.js), read and restored by permalinks
+  const mainViewRef = useRef(createView());
+  // Play the values shown as tones (lib/sonify.js); off on every load, since
+  // browsers only start audio after a click
+  const [sonify, setSonify] = useState(false);
+  const sonifierRef = useRef(null);
+  // Filled by the main FabricVisualizer for 3D export and captures
+  const visualizerApiRef = useRef(null);
+  // Entry edited by a slider and not yet written to the catalog
+  const editedEntryRef = useRef(null);
+  // Running batch analysis, if any (see handleBatchRun)
+  const batchControllerRef = useRef(null);
+  const [batchRun, setBatchRun] = useState(null);
 
   // Check if user has seen intro before
   useEffect(() => {
@@ -38,6 +107,71 @@ export default function Home() {
     }
   }, []);
 
+  // Restore the last chosen provider
+  useEffect(() => {
+    if (typeof window !== 'undefined') {
+      const savedProvider = localStorage.getItem('analyzerProvider');
+      if (savedProvider) {
+        setProvider(savedProvider);
+      }
+    }
+  }, []);
+
+  // Restore the last chosen mapping profile
+  useEffect(() => {
+    if (typeof window !== 'undefined') {
+      const savedProfile = localStorage.getItem('mappingProfile');
+      if (savedProfile && isMappingProfile(savedProfile)) {
+        setMappingProfile(savedProfile);
+      }
+    }
+  }, []);
+
+  // Open a shared permalink (lib/permalink.js), on load and whenever the hash
+  // changes. It is shown as is, without calling the analyzer or touching the catalog.
+  useEffect(() => {
+    const openPermalink = () => {
+      const { state, errors } = decodePermalink(window.location.hash);
+      if (errors.length > 0) {
+        setError(new AnalysisError(ERROR_CODES.INVALID_PERMALINK, undefined, errors));
+        return;
+      }
+      if (!state) return;
+      setInput(state.text);
+      setResult({ ...state.parameters });
+      setLinkSeed(state.seed ?? null);
+      setSelectedEntryId(null);
+      setCompareEntryId(null);
+      setMappingProfile(state.mappingProfile);
+      if (state.view) Object.assign(mainViewRef.current, state.view);
+      setError(null);
+    };
+    openPermalink();
+    window.addEventListener("hashchange", openPermalink);
+    return () => window.removeEventListener("hashchange", openPermalink);
+  }, []);
+
+  // Load the catalog kept in this browser
+  useEffect(() => {
+    getBrowserCatalog().list()
+      .then(setCatalogEntries)
+      .catch((err) => console.error("Failed to load catalog:", err));
+  }, []);
+
+  const handleProviderChange = (nextProvider) => {
+    setProvider(nextProvider);
+    if (typeof window !== 'undefined') {
+      localStorage.setItem('analyzerProvider', nextProvider);
+    }
+  };
+
+  const handleMappingProfileChange = (nextProfile) => {
+    setMappingProfile(nextProfile);
+    if (typeof window !== 'undefined') {
+      localStorage.setItem('mappingProfile', nextProfile);
+    }
+  };
+
   const handleCloseIntro = () => {
     setShowIntro(false);
     if (typeof window !== 'undefined') {
@@ -45,12 +179,83 @@ export default function Home() {
     }
   };
 
-  const handleSubmit = useCallback(async (e) => {
+  // Show a fresh analysis and keep it in the living catalog
+  const applyResult = useCallback((data) => {
+    const entry = createEntry({ text: input, result: data });
+    setResult(data);
+    setSelectedEntryId(entry.id);
+    setLinkSeed(null);
+    setCatalogEntries((entries) => [entry, ...entries]);
+    getBrowserCatalog().add(entry).catch((err) => {
+      console.error("Failed to save catalog entry:", err);
+    });
+  }, [input]);
+
+  const handleSelectEntry = (entry) => {
+    setInput(entry.text);
+    setResult(entryToResult(entry));
+    setSelectedEntryId(entry.id);
+    setLinkSeed(null);
+    if (entry.id === compareEntryId) setCompareEntryId(null);
+    setError(null);
+  };
+
+  const handleCompareEntry = (entry) => {
+    setCompareEntryId(entry ? entry.id : null);
+  };
+
+  const handleSwapCompare = () => {
+    const entry = catalogEntries.find((item) => item.id === compareEntryId);
+    setCompareEntryId(selectedEntryId);
+    setSelectedEntryId(entry.id);
+    setInput(entry.text);
+    setResult(entryToResult(entry));
+  };
+
+  const handleRemoveEntry = (id) => {
+    setCatalogEntries((entries) => entries.filter((entry) => entry.id !== id));
+    if (id === selectedEntryId) setSelectedEntryId(null);
+    if (id === compareEntryId) setCompareEntryId(null);
+    getBrowserCatalog().remove(id).catch((err) => {
+      console.error("Failed to remove catalog entry:", err);
+    });
+  };
+
+  // Entries arrive already validated by the import preview. A file may hold
+  // the same id more than once (with duplicates included); the last row wins.
+  const handleImportEntries = (rows) => {
+    const byId = new Map(rows.map((entry) => [entry.id, entry]));
+    const importedEntries = [...byId.values()];
+    setCatalogEntries((entries) => sortEntriesByDate([
+      ...entries.filter((entry) => !byId.has(entry.id)),
+      ...importedEntries,
+    ]));
+    const catalog = getBrowserCatalog();
+    Promise.all(importedEntries.map((entry) => catalog.add(entry))).catch((err) => {
+      console.error("Failed to save imported entries:", err);
+    });
+  };
+
+  // Stage events carry no values, so keep the ones already streamed in
+  const handleProgress = useCallback((next) => {
+    setProgress((current) => ({ ...next, parameters: next.parameters || current?.parameters }));
+  }, []);
+
+  // `force` skips the analysis cache (lib/cache) for a fresh answer
+  const handleSubmit = useCallback(async (e, { force = false } = {}) => {
     if (e) e.preventDefault();
     if (!input.trim()) return;
     
     setLoading(true);
-    setResult(null);
+    setError(null);
+    setProgress(null);
+
+    // Offline provider: deterministic rules, no network at all
+    if (provider === LOCAL_PROVIDER_ID) {
+      applyResult({ ...analyzeTextLocally(input, { explain: true }), provider: LOCAL_PROVIDER_ID });
+      setLoading(false);
+      return;
+    }
 
     // Detect if we're on GitHub Pages (static export) - API routes don't work there
     const isGitHubPages = typeof window !== 'undefined' && 
@@ -71,7 +276,7 @@ export default function Home() {
             analyzeTextClientSide = module.analyzeTextClientSide;
           } catch (err) {
             console.error("Failed to load client-side API:", err);
-            alert("Failed to load client-side API module.");
+            setError(new AnalysisError(ERROR_CODES.ANALYSIS_FAILED, "Failed to load client-side API module."));
             setLoading(false);
             return;
           }
@@ -80,28 +285,29 @@ export default function Home() {
         const apiKey = process.env.NEXT_PUBLIC_OPENAI_API_KEY;
         if (apiKey && analyzeTextClientSide) {
           try {
-            const data = await analyzeTextClientSide(input, apiKey);
-            setResult(data);
+            const data = await analyzeTextClientSide(input, apiKey, { explain: true, force, onProgress: handleProgress });
+            applyResult(data);
             setLoading(false);
             return;
           } catch (clientError) {
             console.error("Client-side API Error:", clientError);
-            alert(`Error: ${clientError.message || "Failed to analyze"}`);
+            setError(clientError);
             setLoading(false);
             return;
           }
         } else {
-          alert("API key not configured. Please set NEXT_PUBLIC_OPENAI_API_KEY for GitHub Pages deployment.");
+          setError(new AnalysisError(ERROR_CODES.ANALYSIS_FAILED, "API key not configured. Please set NEXT_PUBLIC_OPENAI_API_KEY for GitHub Pages deployment."));
           setLoading(false);
           return;
         }
       }
 
-      // For local/Vercel deployment, try server-side API route
+      // For local/Vercel deployment, try server-side API route, streamed so
+      // the sliders fill in as the model decides each value
       const res = await fetch("/api/analyze", {
         method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ text: input }),
+        headers: { "Content-Type": "application/json", Accept: EVENT_STREAM_TYPE },
+        body: JSON.stringify({ text: input, explain: true, stream: true, force }),
       });
 
       if (!res.ok) {
@@ -119,8 +325,8 @@ export default function Home() {
           const apiKey = process.env.NEXT_PUBLIC_OPENAI_API_KEY;
           if (apiKey && analyzeTextClientSide) {
             try {
-              const data = await analyzeTextClientSide(input, apiKey);
-              setResult(data);
+              const data = await analyzeTextClientSide(input, apiKey, { explain: true, force, onProgress: handleProgress });
+              applyResult(data);
               setLoading(false);
               return;
             } catch (clientError) {
@@ -132,14 +338,21 @@ export default function Home() {
         // If fallback also failed, show error
         const errorData = await res.json().catch(() => ({ error: "Unknown error" }));
         console.error("API Error:", errorData);
-        alert(`Error: ${errorData.error || "Failed to analyze"}`);
+        setError(analysisErrorFromResponse(errorData));
         setLoading(false);
         return;
       }
 
-      const data = await res.json();
-      setResult(data);
+      const data = await readAnalysisStream(res, handleProgress);
+      applyResult(data);
     } catch (error) {
+      // The server answered with an error part-way through the stream
+      if (error instanceof AnalysisError) {
+        console.error("API Error:", error);
+        setError(error);
+        return;
+      }
+
       // Network error - try client-side fallback
       if (typeof window !== 'undefined') {
         if (!analyzeTextClientSide) {
@@ -154,13 +367,13 @@ export default function Home() {
         const apiKey = process.env.NEXT_PUBLIC_OPENAI_API_KEY;
         if (apiKey && analyzeTextClientSide) {
           try {
-            const data = await analyzeTextClientSide(input, apiKey);
-            setResult(data);
+            const data = await analyzeTextClientSide(input, apiKey, { explain: true, force, onProgress: handleProgress });
+            applyResult(data);
             setLoading(false);
             return;
           } catch (clientError) {
             console.error("Client-side API Error:", clientError);
-            alert(`Error: ${clientError.message || "Failed to analyze"}`);
+            setError(clientError);
             setLoading(false);
             return;
           }
@@ -168,26 +381,174 @@ export default function Home() {
       }
       
       console.error("Fetch Error:", error);
-      alert(`Error: ${error.message || "Failed to connect to server"}`);
+      setError(new AnalysisError(ERROR_CODES.ANALYSIS_FAILED, error.message || "Failed to connect to server"));
     } finally {
       setLoading(false);
+      setProgress(null);
     }
-  }, [input]);
+  }, [input, provider, applyResult, handleProgress]);
 
-  // Keyboard shortcut: Enter to analyze
-  useEffect(() => {
-    const handleKeyDown = async (e) => {
-      if (e.key === "Enter" && !e.shiftKey && !e.metaKey && !e.ctrlKey) {
-        e.preventDefault();
-        if (!input.trim() || loading) return;
-        
-        // Reuse the same handleSubmit logic
-        handleSubmit(e);
+  // Batch analysis from the catalog panel: same provider choice as
+  // handleSubmit, and each result joins the catalog as soon as it is done
+  // while the fabric on screen stays as it is. `force` skips the cache.
+  const handleBatch = useCallback(async (texts, { force = false, onStart, onItem, signal }) => {
+    const handleItem = (item) => {
+      if (item.result) {
+        const entry = createEntry({ text: item.text, result: item.result });
+        setCatalogEntries((entries) => [entry, ...entries]);
+        getBrowserCatalog().add(entry).catch((err) => {
+          console.error("Failed to save catalog entry:", err);
+        });
+      }
+      onItem(item);
+    };
+
+    if (provider === LOCAL_PROVIDER_ID) {
+      validateBatch(texts);
+      return runBatch(
+        texts,
+        async (text) => ({ ...analyzeTextLocally(text, { explain: true }), provider: LOCAL_PROVIDER_ID }),
+        { onItem: handleItem, signal }
+      );
+    }
+
+    // GitHub Pages has no API routes, so go straight to the client-side analyzer
+    const isGitHubPages = window.location.hostname.includes('github.io');
+    const apiKey = process.env.NEXT_PUBLIC_OPENAI_API_KEY;
+    if (isGitHubPages || apiKey) {
+      if (!apiKey) {
+        throw new AnalysisError(ERROR_CODES.ANALYSIS_FAILED, "API key not configured. Please set NEXT_PUBLIC_OPENAI_API_KEY for GitHub Pages deployment.");
       }
+      const { analyzeBatchClientSide } = await import('../lib/openai-client');
+      return analyzeBatchClientSide(texts, apiKey, { explain: true, force, onItem: handleItem, signal });
+    }
+
+    return analyzeBatchOnServer(texts, { explain: true, force, onStart, onItem: handleItem, signal });
+  }, [provider]);
+
+  // Progress of the last batch, shown by BatchAnalysis. The run is owned here
+  // rather than by the catalog panel, so closing the panel does not stop it.
+  const handleBatchRun = async (texts, { force = false } = {}) => {
+    const controller = new AbortController();
+    batchControllerRef.current = controller;
+    setBatchRun({ running: true, total: texts.length, succeeded: 0, failures: [], error: null });
+
+    const onItem = (item) => {
+      setBatchRun((current) => ({
+        ...current,
+        succeeded: current.succeeded + (item.error ? 0 : 1),
+        failures: item.error ? [...current.failures, item].sort((a, b) => a.index - b.index) : current.failures,
+      }));
     };
-    window.addEventListener("keydown", handleKeyDown);
-    return () => window.removeEventListener("keydown", handleKeyDown);
-  }, [input, loading, handleSubmit]);
+
+    // A batch the server stopped (at the rate limit) ends with an error
+    let error = null;
+    try {
+      await handleBatch(texts, {
+        force,
+        onStart: ({ total }) => setBatchRun((current) => ({ ...current, total })),
+        onItem,
+        signal: controller.signal,
+      });
+    } catch (err) {
+      if (!controller.signal.aborted) {
+        console.error("Batch analysis failed:", err);
+        error = describeError(err);
+      }
+    } finally {
+      batchControllerRef.current = null;
+      setBatchRun((current) => ({
+        ...current,
+        running: false,
+        stopped: controller.signal.aborted || error !== null,
+        error,
+      }));
+    }
+  };
+
+  const handleBatchStop = () => batchControllerRef.current?.abort();
+
+  // The audio context is started by this click: one created or resumed from
+  // a timer later would stay suspended and drop the first tones
+  const handleSonifyToggle = () => {
+    if (sonify) {
+      sonifierRef.current?.stop();
+    } else {
+      if (!sonifierRef.current) sonifierRef.current = createSonifier();
+      sonifierRef.current.resume();
+    }
+    setSonify(!sonify);
+  };
+
+  useEffect(() => () => sonifierRef.current?.dispose(), []);
+
+  const selectedEntry = catalogEntries.find((entry) => entry.id === selectedEntryId);
+  // Values streamed in so far, shown on the sliders and in the preview until the result lands
+  const pendingValues = loading && progress?.parameters ? progress.parameters : null;
+  const compareEntry = catalogEntries.find((entry) => entry.id === compareEntryId);
+  const isComparing = Boolean(result && selectedEntry && compareEntry);
+  const visualizerSeed = selectedEntry ? entrySeed(selectedEntry) : linkSeed ?? undefined;
+
+  // Everything a permalink needs to redraw the main view as it is now
+  const getPermalinkState = () => ({
+    text: selectedEntry ? selectedEntry.text : input,
+    parameters: result,
+    seed: visualizerSeed,
+    view: mainViewRef.current,
+    mappingProfile,
+  });
+
+  const showEntry = (entry) => {
+    setCatalogEntries((entries) => entries.map((item) => (item.id === entry.id ? entry : item)));
+  };
+
+  const storeEntry = (entry) => {
+    getBrowserCatalog().update(entry.id, { overrides: entry.overrides, seed: entry.seed }).catch((err) => {
+      console.error("Failed to save catalog entry:", err);
+    });
+  };
+
+  const saveEntry = (entry) => {
+    showEntry(entry);
+    storeEntry(entry);
+  };
+
+  // Slider edits go straight to the visualizer and are kept on the entry as
+  // overrides, next to the model's original values. The catalog is written
+  // once the slider is let go, not on every step of a drag.
+  const handleParameterEdit = (key, value) => {
+    setResult((current) => ({ ...current, [key]: value }));
+    if (!selectedEntry) return;
+    const entry = setOverride(selectedEntry, key, value);
+    editedEntryRef.current = entry;
+    showEntry(entry);
+  };
+
+  const handleParameterCommit = () => {
+    if (editedEntryRef.current) storeEntry(editedEntryRef.current);
+    editedEntryRef.current = null;
+  };
+
+  const handleResetToModel = () => {
+    if (!selectedEntry) return;
+    const entry = clearOverrides(selectedEntry);
+    saveEntry(entry);
+    setResult(entryToResult(entry));
+  };
+
+  const handleSeedChange = (seed) => {
+    if (selectedEntry) saveEntry(setSeed(selectedEntry, seed));
+  };
+
+  // Keyboard shortcut: Enter in the description field analyzes, Shift+Enter
+  // types a new line. Every other field, slider and button keeps Enter.
+  const handleDescriptionKeyDown = (e) => {
+    if (e.key === "Enter" && !e.shiftKey && !e.metaKey && !e.ctrlKey) {
+      e.preventDefault();
+      if (!input.trim() || loading) return;
+      handleSubmit(e);
+    }
+  };
 
   return (
     <>
@@ -471,37 +832,14 @@ export default function Home() {
           alignItems: "center",
           background: "transparent"
         }}>
-          {loading ? (
-            <div style={{
-              width: "100%",
-              height: "100%",
-              display: "flex",
-              justifyContent: "center",
-              alignItems: "center"
-            }}>
-              {/* Skeleton Grid */}
-              <div style={{
-                display: "grid",
-                gridTemplateColumns: "repeat(4, 1fr)",
-                gap: "12px",
-                width: "200px",
-                height: "200px"
-              }}>
-                {Array.from({ length: 16 }).map((_, i) => (
-                  <div
-                    key={i}
-                    style={{
-                      width: "100%",
-                      height: "100%",
-                      background: "#f0f0f0",
-                      borderRadius: "2px",
-                      animation: "pulse 1.5s ease-in-out infinite",
-                      animationDelay: `${i * 0.05}s`
-                    }}
-                  />
-                ))}
-              </div>
-            </div>
+          {isComparing ? (
+            <CompareView
+              entryA={selectedEntry}
+              entryB={compareEntry}
+              mappingProfile={mappingProfile}
+              onSwap={handleSwapCompare}
+              onExit={() => setCompareEntryId(null)}
+            />
           ) : result ? (
             <>
               <div style={{
@@ -517,7 +855,14 @@ export default function Home() {
                   maxWidth: "100%",
                   maxHeight: "100%"
                 }}>
-                  <FabricVisualizer parameters={result} />
+                  <FabricVisualizer
+                    parameters={result}
+                    seed={visualizerSeed}
+                    mappingProfile={mappingProfile}
+                    viewRef={mainViewRef}
+                    apiRef={visualizerApiRef}
+                    sonifier={sonify ? sonifierRef.current : null}
+                  />
                 </div>
               </div>
               <p style={{ 
@@ -530,10 +875,34 @@ export default function Home() {
                 letterSpacing: "0.5px",
                 margin: 0
               }}>
-                Drag to rotate • Scroll to zoom
+                Drag to rotate • Right-drag to pan • Scroll or pinch to zoom • Double-click to reset
+                <span style={{ margin: "0 8px" }}>•</span>
+                {Object.entries(CAMERA_PRESETS).map(([name, preset], i) => (
+                  <button
+                    key={name}
+                    type="button"
+                    onClick={() => visualizerApiRef.current?.showPreset(name)}
+                    style={{ ...optionButtonStyle, marginLeft: i === 0 ? 0 : "8px" }}
+                  >
+                    {preset.label}
+                  </button>
+                ))}
+                <span style={{ margin: "0 8px" }}>•</span>
+                {MAPPING_PROFILES.map((profile, i) => (
+                  <button
+                    key={profile.id}
+                    type="button"
+                    onClick={() => handleMappingProfileChange(profile.id)}
+                    aria-pressed={mappingProfile === profile.id}
+                    title={profile.description}
+                    style={{ ...optionButtonStyle, ...choiceStyle(mappingProfile === profile.id), marginLeft: i === 0 ? 0 : "8px" }}
+                  >
+                    {profile.label}
+                  </button>
+                ))}
               </p>
             </>
-          ) : (
+          ) : !loading && (
             <div style={{
               color: "#ccc",
               fontSize: "14px",
@@ -542,6 +911,70 @@ export default function Home() {
               Enter a description to generate visualization
             </div>
           )}
+          {/* Loading skeleton, over the previous fabric so the next one can morph from it */}
+          {loading && (
+            <div style={{
+              position: "absolute",
+              top: 0,
+              left: 0,
+              width: "100%",
+              height: "100%",
+              display: "flex",
+              justifyContent: "center",
+              alignItems: "center",
+              background: result ? "rgba(255, 255, 255, 0.6)" : "transparent",
+              zIndex: 5
+            }}>
+              <div style={{ width: "200px" }}>
+                {pendingValues ? (
+                  // Still of the values decided so far, the rest at their defaults
+                  <FabricThumbnail
+                    parameters={pendingValues}
+                    size={200}
+                    mappingProfile={mappingProfile}
+                    partial
+                    label="Preview of the fabric so far"
+                  />
+                ) : (
+                  /* Skeleton Grid */
+                  <div style={{
+                    display: "grid",
+                    gridTemplateColumns: "repeat(4, 1fr)",
+                    gap: "12px",
+                    width: "200px",
+                    height: "200px"
+                  }}>
+                    {Array.from({ length: 16 }).map((_, i) => (
+                      <div
+                        key={i}
+                        style={{
+                          width: "100%",
+                          height: "100%",
+                          background: "#f0f0f0",
+                          borderRadius: "2px",
+                          animation: "pulse 1.5s ease-in-out infinite",
+                          animationDelay: `${i * 0.05}s`
+                        }}
+                      />
+                    ))}
+                  </div>
+                )}
+                {progress && (
+                  <p role="status" style={{
+                    marginTop: "16px",
+                    fontSize: "10px",
+                    letterSpacing: "1px",
+                    textTransform: "uppercase",
+                    textAlign: "center",
+                    color: "#999"
+                  }}>
+                    {STAGE_LABELS[progress.stage]}
+                    {pendingValues && ` • ${Object.keys(pendingValues).length} of ${GARMENT_PARAMETERS.length}`}
+                  </p>
+                )}
+              </div>
+            </div>
+          )}
         </div>
 
         {/* Left Panel - Input (Overlay) */}
@@ -570,6 +1003,7 @@ export default function Home() {
             <textarea
               value={input}
               onChange={(e) => setInput(e.target.value)}
+              onKeyDown={handleDescriptionKeyDown}
               placeholder="Describe your day or plan..."
               style={{ 
                 flex: 1,
@@ -592,24 +1026,67 @@ export default function Home() {
               fontWeight: 300
             }}>
               Press Enter to analyze
+              <span style={{ margin: "0 8px" }}>•</span>
+              {[["model", "Model"], [LOCAL_PROVIDER_ID, "Offline"]].map(([id, label], i) => (
+                <button
+                  key={id}
+                  type="button"
+                  onClick={() => handleProviderChange(id)}
+                  aria-pressed={provider === id}
+                  style={{ ...optionButtonStyle, ...choiceStyle(provider === id), marginLeft: i === 0 ? 0 : "8px" }}
+                >
+                  {label}
+                </button>
+              ))}
             </p>
+            {result?.cached && !loading && (
+              <p style={{
+                marginTop: "8px",
+                fontSize: "10px",
+                letterSpacing: "1px",
+                textTransform: "uppercase",
+                color: "#999"
+              }}>
+                Cached answer
+                <span style={{ margin: "0 8px" }}>•</span>
+                <button
+                  type="button"
+                  onClick={() => handleSubmit(null, { force: true })}
+                  style={inlineLinkButtonStyle}
+                >
+                  Re-analyze
+                </button>
+              </p>
+            )}
+            {error && (
+              <p role="alert" style={{
+                marginTop: "8px",
+                fontSize: "11px",
+                color: "#b00020",
+                fontWeight: 300,
+                lineHeight: "1.6"
+              }}>
+                {describeError(error)}
+              </p>
+            )}
           </form>
 
           {/* Parameter Sliders */}
           <div style={{ marginTop: "40px", paddingTop: "40px" }}>
             {/* Helper function to render a slider */}
             {(() => {
-              const renderSlider = (label, value, leftLabel, rightLabel) => {
-                // If result is null or value is undefined/null, use 0 as default
-                // Otherwise use the actual value
+              const renderSlider = (label, value, leftLabel, rightLabel, rationale, paramKey, modelValue) => {
+                // If value is undefined/null (no result, or not streamed in
+                // yet), use 0 as default. Otherwise use the actual value
                 let displayValue = 0; // Default to 0
-                if (result !== null && value !== undefined && value !== null) {
-                  displayValue = value; // Use actual value when result exists
+                if (value !== undefined && value !== null) {
+                  displayValue = value;
                 }
-                const position = `calc(80px + ${displayValue * 100}% * (100% - 170px) / 100%)`;
+                const isEdited = modelValue !== undefined && modelValue !== displayValue;
+                const isExpanded = rationale && expandedParam === paramKey;
                 
                 return (
-                  <div style={{ marginBottom: "16px" }}>
+                  <div style={{ marginBottom: "16px" }} title={rationale || undefined}>
                     <div style={{ 
                       display: "flex", 
                       alignItems: "center", 
@@ -620,63 +1097,176 @@ export default function Home() {
                       textTransform: "uppercase",
                       color: "#000"
                     }}>
-                      <span style={{ width: "90px" }}>{label}</span>
-                      <div style={{ 
-                        flex: 1, 
-                        position: "relative", 
-                        height: "20px",
-                        display: "flex",
-                        alignItems: "center",
-                        margin: "0 20px",
-                        paddingLeft: "80px",
-                        paddingRight: "90px"
-                      }}>
-                        <span style={{ fontSize: "10px", color: "#999", position: "absolute", left: "0", whiteSpace: "nowrap" }}>{leftLabel}</span>
-                        <div style={{
-                          position: "absolute",
-                          left: "80px",
-                          right: "90px",
-                          height: "1px",
-                          background: "#e0e0e0"
-                        }} />
-                        <div style={{
-                          position: "absolute",
-                          left: position,
-                          width: "1px",
-                          height: "16px",
-                          background: "#000",
-                          transform: "translateX(-50%)",
-                          transition: "left 0.8s ease-out"
-                        }} />
-                        <span style={{ fontSize: "10px", color: "#999", position: "absolute", right: "0", whiteSpace: "nowrap" }}>{rightLabel}</span>
-                      </div>
+                      {rationale ? (
+                        <button
+                          type="button"
+                          onClick={() => setExpandedParam(isExpanded ? null : paramKey)}
+                          aria-expanded={isExpanded}
+                          style={{
+                            width: "90px",
+                            padding: 0,
+                            border: "none",
+                            background: "transparent",
+                            textAlign: "left",
+                            font: "inherit",
+                            letterSpacing: "inherit",
+                            textTransform: "inherit",
+                            color: "inherit",
+                            cursor: "pointer"
+                          }}
+                        >
+                          {label} <span style={{ color: "#999" }}>{isExpanded ? "−" : "+"}</span>
+                        </button>
+                      ) : (
+                        <span style={{ width: "90px" }}>{label}</span>
+                      )}
+                      <ParameterSlider
+                        label={paramKey}
+                        value={displayValue}
+                        modelValue={modelValue}
+                        lowLabel={leftLabel}
+                        highLabel={rightLabel}
+                        disabled={result === null || Boolean(pendingValues)}
+                        onChange={(nextValue) => handleParameterEdit(paramKey, nextValue)}
+                        onCommit={handleParameterCommit}
+                      />
                       <span style={{ 
                         width: "50px", 
                         textAlign: "right",
                         fontSize: "12px",
                         fontWeight: 300,
                         color: "#000",
-                        marginLeft: "12px"
-                      }}>
+                        marginLeft: "12px",
+                        textDecoration: isEdited ? "underline dotted" : "none"
+                      }} title={isEdited ? `Edited • model ${modelValue.toFixed(2)}` : undefined}>
                         {displayValue.toFixed(2)}
                       </span>
                     </div>
+                    {isExpanded && (
+                      <p style={{
+                        margin: "4px 0 0 90px",
+                        fontSize: "11px",
+                        lineHeight: "1.6",
+                        color: "#666",
+                        fontWeight: 300
+                      }}>
+                        {rationale}
+                      </p>
+                    )}
                   </div>
                 );
               };
 
               return (
                 <>
-                  {renderSlider("FIT", result?.Fit, "Close", "Loose")}
-                  {renderSlider("MESH", result?.Mesh, "Open", "Fine")}
-                  {renderSlider("THICKNESS", result?.Thickness, "Thin", "Thick")}
-                  {renderSlider("AIRFLOW", result?.Airflow, "Breathable", "Unbreathable")}
-                  {renderSlider("SUPPORT", result?.Support, "Soft", "Rigid")}
+                  {/* Situation factors the analysis was based on */}
+                  {result?.factors && (
+                    <div style={{
+                      display: "flex",
+                      flexWrap: "wrap",
+                      gap: "4px 16px",
+                      marginBottom: "24px",
+                      fontSize: "10px",
+                      letterSpacing: "1px",
+                      textTransform: "uppercase",
+                      color: "#999"
+                    }}>
+                      {SITUATION_FACTORS.filter((factor) => result.factors[factor.key] !== undefined).map((factor) => (
+                        <span key={factor.key} title={factor.description}>
+                          {factor.label}{" "}
+                          <span style={{ color: "#000" }}>
+                            {factor.unit
+                              ? `${Math.round(result.factors[factor.key])}${factor.unit}`
+                              : result.factors[factor.key].toFixed(2)}
+                          </span>
+                        </span>
+                      ))}
+                    </div>
+                  )}
+                  {/* Hand edits: what was changed and a way back to the model's values */}
+                  {selectedEntry?.overrides && (
+                    <p style={{
+                      marginBottom: "16px",
+                      fontSize: "10px",
+                      letterSpacing: "1px",
+                      textTransform: "uppercase",
+                      color: "#999"
+                    }}>
+                      Edited by hand: {Object.keys(selectedEntry.overrides).join(", ")}
+                      <span style={{ margin: "0 8px" }}>•</span>
+                      <button
+                        type="button"
+                        onClick={handleResetToModel}
+                        style={inlineLinkButtonStyle}
+                      >
+                        Reset to model
+                      </button>
+                    </p>
+                  )}
+                  {GARMENT_PARAMETERS.map((param) => (
+                    <div key={param.key}>
+                      {renderSlider(
+                        param.label,
+                        pendingValues ? pendingValues[param.key] : result?.[param.key],
+                        param.lowLabel,
+                        param.highLabel,
+                        pendingValues ? undefined : result?.rationale?.[param.key],
+                        param.key,
+                        !pendingValues && selectedEntry?.overrides?.[param.key] !== undefined ? selectedEntry.parameters[param.key] : undefined
+                      )}
+                    </div>
+                  ))}
+                  {selectedEntry && result && (
+                    <SeedField
+                      seed={entrySeed(selectedEntry)}
+                      defaultSeed={defaultSeed(selectedEntry)}
+                      onChange={handleSeedChange}
+                    />
+                  )}
+                  {result && !isComparing && (
+                    <>
+                      <CopyLinkButton getState={getPermalinkState} />
+                      <p style={{
+                        marginTop: "8px",
+                        fontSize: "10px",
+                        letterSpacing: "1px",
+                        textTransform: "uppercase",
+                        color: "#999"
+                      }}>
+                        <button
+                          type="button"
+                          onClick={handleSonifyToggle}
+                          aria-pressed={sonify}
+                          title="Play the five values as tones, Fit to Support from left to right; higher pitch means a higher value"
+                          style={inlineLinkButtonStyle}
+                        >
+                          {sonify ? "Sound on" : "Sound off"}
+                        </button>
+                      </p>
+                      <ExportControls apiRef={visualizerApiRef} />
+                      <CaptureControls apiRef={visualizerApiRef} />
+                    </>
+                  )}
                 </>
               );
             })()}
           </div>
         </div>
+
+        {/* Right Panel - Living Catalog (Overlay) */}
+        <CatalogPanel
+          entries={catalogEntries}
+          selectedId={selectedEntryId}
+          compareId={isComparing ? compareEntryId : null}
+          mappingProfile={mappingProfile}
+          onSelect={handleSelectEntry}
+          onCompare={handleCompareEntry}
+          onRemove={handleRemoveEntry}
+          onImport={handleImportEntries}
+          batchRun={batchRun}
+          onBatch={handleBatchRun}
+          onBatchStop={handleBatchStop}
+        />
       </main>
     </>
   );
@@ -0,0 +1,93 @@
+// Minimal OpenAI-compatible server that replays recorded responses.
+// Point the analyzer at it with:
+//
+//   ANALYZER_PROVIDER=compatible ANALYZER_BASE_URL=http://127.0.0.1:5600/v1
+//
+// Usage: node scripts/mock-llm-server.mjs [fixtures.json] [port]
+// Replays fixtures exactly as the in-process mock provider does (both use
+// lib/providers/fixture-replay.mjs). Requests with `stream: true` get the
+// answer as chat.completion.chunk server-sent events, a few characters at a
+// time, like the real API.
+
+import fs from "fs";
+import http from "http";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createFixtureReplay, streamPieces } from "../lib/providers/fixture-replay.mjs";
+
+const scriptDir = path.dirname(fileURLToPath(import.meta.url));
+const fixturesPath = process.argv[2] || path.join(scriptDir, "..", "fixtures", "analyze-responses.json");
+const port = Number(process.argv[3] || process.env.MOCK_LLM_PORT || 5600);
+
+const answerFor = createFixtureReplay(JSON.parse(fs.readFileSync(fixturesPath, "utf8")));
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+function sendStream(res, model, content) {
+  res.writeHead(200, { "Content-Type": "text/event-stream", "Cache-Control": "no-cache" });
+  const id = `mock-${Date.now()}`;
+  const created = Math.floor(Date.now() / 1000);
+  const sendChunk = (delta, finishReason = null) => {
+    const chunk = {
+      id,
+      object: "chat.completion.chunk",
+      created,
+      model,
+      choices: [{ index: 0, delta, finish_reason: finishReason }],
+    };
+    res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+  };
+
+  sendChunk({ role: "assistant", content: "" });
+  streamPieces(content).forEach((piece) => sendChunk({ content: piece }));
+  sendChunk({}, "stop");
+  res.end("data: [DONE]\n\n");
+}
+
+const server = http.createServer((req, res) => {
+  if (req.method !== "POST" || !req.url.endsWith("/chat/completions")) {
+    return sendJson(res, 404, { error: { message: `No mock for ${req.method} ${req.url}` } });
+  }
+
+  let body = "";
+  req.on("data", (chunk) => {
+    body += chunk;
+  });
+  req.on("end", () => {
+    let request;
+    try {
+      request = JSON.parse(body);
+    } catch (err) {
+      return sendJson(res, 400, { error: { message: "Request body is not JSON" } });
+    }
+
+    const content = answerFor(request.messages || []);
+    if (content === null) {
+      return sendJson(res, 404, { error: { message: "No recorded response for this text" } });
+    }
+
+    if (request.stream) {
+      return sendStream(res, request.model || "fixture-replay", content);
+    }
+    sendJson(res, 200, {
+      id: `mock-${Date.now()}`,
+      object: "chat.completion",
+      created: Math.floor(Date.now() / 1000),
+      model: request.model || "fixture-replay",
+      choices: [
+        {
+          index: 0,
+          message: { role: "assistant", content },
+          finish_reason: "stop",
+        },
+      ],
+    });
+  });
+});
+
+server.listen(port, "127.0.0.1", () => {
+  console.log(`Mock LLM server replaying ${fixturesPath} on http://127.0.0.1:${port}/v1`);
+});
@@ -0,0 +1,182 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+
+import {
+  DEFAULT_CACHE_TTL_SECONDS,
+  analysisCacheKey,
+  analyzeWithCache,
+  createAnalysisCache,
+  normalizeCacheText,
+  parseCacheTtl,
+} from "../lib/cache/analysis-cache.js";
+import { createFileCacheStore } from "../lib/cache/file-store.js";
+import { PROMPT_VERSION } from "../lib/garment-schema.js";
+import { createProvider } from "../lib/providers/index.js";
+
+const VALUES = { Fit: 0.2, Mesh: 0.8, Thickness: 0.85, Airflow: 0.8, Support: 0.65 };
+
+// A chat provider that counts its calls and always gives VALUES
+function countingProvider({ id = "counting", model = "m1" } = {}) {
+  const provider = {
+    id,
+    model,
+    kind: "chat",
+    calls: 0,
+    async complete() {
+      provider.calls += 1;
+      return JSON.stringify(VALUES);
+    },
+  };
+  return provider;
+}
+
+// A persistent store kept in a Map, with the records visible to the test
+function mapStore() {
+  const records = new Map();
+  return {
+    records,
+    get: async (key) => records.get(key) || null,
+    set: async (key, record) => void records.set(key, record),
+    delete: async (key) => void records.delete(key),
+    clear: async () => records.clear(),
+  };
+}
+
+describe("keys", () => {
+  test("ignore case, spacing, Unicode variants and closing punctuation", () => {
+    assert.equal(normalizeCacheText("  Rainy   Commute!! "), "rainy commute");
+    assert.equal(normalizeCacheText("Ｒａｉｎｙ commute…"), "rainy commute");
+    assert.equal(normalizeCacheText(null), "");
+  });
+
+  test("separate prompt versions, providers, models and explain mode", () => {
+    const provider = countingProvider();
+    assert.equal(analysisCacheKey("Rainy commute.", { provider }), `${PROMPT_VERSION}|counting|m1|values|rainy commute`);
+    const keys = new Set([
+      analysisCacheKey("rainy commute", { provider }),
+      analysisCacheKey("rainy commute", { provider, explain: true }),
+      analysisCacheKey("rainy commute", { provider: countingProvider({ model: "m2" }) }),
+      analysisCacheKey("rainy commute", { provider: countingProvider({ id: "other" }) }),
+    ]);
+    assert.equal(keys.size, 4);
+  });
+
+  test("TTLs read from config, with 0 turning the cache off", () => {
+    assert.equal(parseCacheTtl(undefined), DEFAULT_CACHE_TTL_SECONDS);
+    assert.equal(parseCacheTtl(""), DEFAULT_CACHE_TTL_SECONDS);
+    assert.equal(parseCacheTtl("60"), 60);
+    assert.equal(parseCacheTtl("0"), 0);
+    assert.equal(parseCacheTtl("-1"), DEFAULT_CACHE_TTL_SECONDS);
+    assert.equal(parseCacheTtl("soon"), DEFAULT_CACHE_TTL_SECONDS);
+  });
+});
+
+describe("createAnalysisCache", () => {
+  test("keeps the most recently used answers in memory", async () => {
+    const cache = createAnalysisCache({ maxEntries: 2 });
+    await cache.set("a", { n: 1 });
+    await cache.set("b", { n: 2 });
+    await cache.get("a");
+    await cache.set("c", { n: 3 });
+    assert.deepEqual(await cache.get("a"), { n: 1 });
+    assert.equal(await cache.get("b"), null);
+    assert.deepEqual(await cache.get("c"), { n: 3 });
+  });
+
+  test("expires answers after the TTL, in both tiers", async (t) => {
+    let now = 1_000_000;
+    t.mock.method(Date, "now", () => now);
+    const persistent = mapStore();
+    const cache = createAnalysisCache({ persistent, ttl: 60 });
+    await cache.set("a", { n: 1 });
+    assert.ok(persistent.records.has("a"));
+
+    now += 59_000;
+    assert.deepEqual(await cache.get("a"), { n: 1 });
+    now += 1_000;
+    assert.equal(await cache.get("a"), null);
+    assert.equal(persistent.records.has("a"), false);
+  });
+
+  test("reads through to the persistent tier", async () => {
+    const persistent = mapStore();
+    await createAnalysisCache({ persistent }).set("a", { n: 1 });
+    // A new process: empty memory, same store
+    assert.deepEqual(await createAnalysisCache({ persistent }).get("a"), { n: 1 });
+  });
+
+  test("carries on without a failing persistent tier", async (t) => {
+    const error = t.mock.method(console, "error", () => {});
+    const broken = {
+      get: async () => { throw new Error("disk gone"); },
+      set: async () => { throw new Error("disk gone"); },
+    };
+    const cache = createAnalysisCache({ persistent: broken });
+    await cache.set("a", { n: 1 });
+    assert.deepEqual(await cache.get("a"), { n: 1 });
+    assert.equal(await cache.get("b"), null);
+    assert.equal(error.mock.callCount(), 2);
+  });
+});
+
+describe("analyzeWithCache", () => {
+  test("answers a repeat from the cache, marked as cached, without asking or charging", async () => {
+    const cache = createAnalysisCache();
+    const provider = countingProvider();
+    let charged = 0;
+    const beforeAnalyze = () => { charged += 1; };
+
+    assert.deepEqual(await analyzeWithCache(cache, provider, "Rainy commute", { beforeAnalyze }), VALUES);
+    assert.deepEqual(await analyzeWithCache(cache, provider, "rainy commute.", { beforeAnalyze }), { ...VALUES, cached: true });
+    assert.equal(provider.calls, 1);
+    assert.equal(charged, 1);
+  });
+
+  test("asks again with `force` and stores the fresh answer", async () => {
+    const cache = createAnalysisCache();
+    const provider = countingProvider();
+    await analyzeWithCache(cache, provider, "Rainy commute");
+    assert.deepEqual(await analyzeWithCache(cache, provider, "Rainy commute", { force: true }), VALUES);
+    assert.equal(provider.calls, 2);
+  });
+
+  test("does not cache a refused request", async () => {
+    const cache = createAnalysisCache();
+    const provider = countingProvider();
+    const refuse = () => { throw new Error("limited"); };
+    await assert.rejects(analyzeWithCache(cache, provider, "Rainy commute", { beforeAnalyze: refuse }), /limited/);
+    assert.equal(provider.calls, 0);
+    assert.equal(await cache.get(analysisCacheKey("Rainy commute", { provider })), null);
+  });
+
+  test("never caches rule-based providers", async () => {
+    const cache = createAnalysisCache();
+    const local = createProvider({ id: "local" });
+    await analyzeWithCache(cache, local, "Rainy commute");
+    const again = await analyzeWithCache(cache, local, "Rainy commute");
+    assert.equal(again.cached, undefined);
+  });
+});
+
+describe("createFileCacheStore", () => {
+  let dir;
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "analysis-cache-"));
+  });
+  after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  test("keeps records in a JSON file across instances", async () => {
+    const filePath = path.join(dir, "nested", "cache.json");
+    const store = createFileCacheStore(filePath);
+    await Promise.all([store.set("a", { result: 1, storedAt: 1 }), store.set("b", { result: 2, storedAt: 2 })]);
+    await store.delete("a");
+
+    const reopened = createFileCacheStore(filePath);
+    assert.equal(await reopened.get("a"), null);
+    assert.deepEqual(await reopened.get("b"), { result: 2, storedAt: 2 });
+    assert.deepEqual(Object.keys(JSON.parse(await fs.readFile(filePath, "utf8")).records), ["b"]);
+  });
+});
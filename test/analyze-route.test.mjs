@@ -0,0 +1,156 @@
+// /api/analyze against the fixture-replay provider: every recorded answer
+// comes back through the real route, validation and repair included.
+
+import { after, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+
+import handler from "../pages/api/analyze.js";
+import { ANALYSIS_STAGES, readAnalysisStream } from "../lib/analyzer.js";
+import { readEventStream } from "../lib/sse.js";
+import { serveRoute } from "./api-server.mjs";
+
+const FIXTURES_PATH = new URL("../fixtures/analyze-responses.json", import.meta.url);
+
+// Read lazily by the route, so setting them before the first request is enough
+Object.assign(process.env, {
+  ANALYZER_PROVIDER: "mock",
+  ANALYZER_FIXTURES: FIXTURES_PATH.pathname,
+  // Each request replays its fixture from the first answer
+  ANALYZER_CACHE_TTL: "0",
+  ANALYZER_RATE_PER_MINUTE: "0",
+});
+
+const EXPLAINED_TEXT = "Dinner on a chilly terrace, then a long walk home.";
+const REPAIRED_TEXT = "Cycling to work in the rain.";
+
+let fixtures;
+let route;
+
+before(async () => {
+  fixtures = JSON.parse(await readFile(FIXTURES_PATH, "utf8"));
+  route = await serveRoute(handler);
+});
+
+after(() => route.close());
+
+const lastAnswer = (answers) => JSON.parse(answers[answers.length - 1]);
+
+describe("plain requests", () => {
+  test("replays every recorded answer", async (t) => {
+    t.mock.method(console, "warn", () => {});
+    for (const [text, answers] of Object.entries(fixtures.responses)) {
+      // An explain-mode recording is only valid as the answer to an explain request
+      const explain = "factors" in lastAnswer(answers);
+      const response = await route.post({ text, explain });
+      assert.equal(response.status, 200, text);
+      assert.deepEqual(await response.json(), { ...lastAnswer(answers), provider: "mock" }, text);
+    }
+  });
+
+  test("repairs a malformed answer with the recorded correction", async (t) => {
+    const warn = t.mock.method(console, "warn", () => {});
+    const response = await route.post({ text: REPAIRED_TEXT });
+    assert.deepEqual(await response.json(), { ...lastAnswer(fixtures.responses[REPAIRED_TEXT]), provider: "mock" });
+
+    // The first answer was rejected once, for its misspelled key, the word
+    // "medium" and the out-of-range Airflow
+    assert.equal(warn.mock.callCount(), 1);
+    const [, errors] = warn.mock.calls[0].arguments;
+    assert.deepEqual(errors, [
+      'Key "fit" must be spelled exactly "Fit".',
+      '"Mesh" must be a number, got "medium".',
+      '"Airflow" must be between 0 and 1, got 1.3.',
+    ]);
+  });
+
+  test("matches fixture text regardless of case and spacing", async () => {
+    const response = await route.post({ text: "  lazy sunday at home,   READING on the couch. " });
+    const expected = lastAnswer(fixtures.responses["Lazy Sunday at home, reading on the couch."]);
+    assert.deepEqual(await response.json(), { ...expected, provider: "mock" });
+  });
+
+  test("answers unknown text with the default fixture", async () => {
+    const response = await route.post({ text: "Something nobody recorded." });
+    assert.deepEqual(await response.json(), { ...lastAnswer(fixtures.default), provider: "mock" });
+  });
+});
+
+describe("explanations", () => {
+  test("returns the recorded factors and rationale after repairing a missing rationale", async (t) => {
+    const warn = t.mock.method(console, "warn", () => {});
+    const response = await route.post({ text: EXPLAINED_TEXT, explain: true });
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), { ...lastAnswer(fixtures.responses[EXPLAINED_TEXT]), provider: "mock" });
+    assert.deepEqual(warn.mock.calls[0].arguments[1], ['"rationale.Support" must be a non-empty string.']);
+  });
+
+  test("falls back to plain values for a fixture recorded without an explanation", async (t) => {
+    t.mock.method(console, "warn", () => {});
+    const text = "Lazy Sunday at home, reading on the couch.";
+    const response = await route.post({ text, explain: true });
+    assert.deepEqual(await response.json(), { ...lastAnswer(fixtures.responses[text]), provider: "mock" });
+  });
+});
+
+describe("streaming", () => {
+  test("reports progress through the repair and ends with the result", async (t) => {
+    t.mock.method(console, "warn", () => {});
+    const response = await route.post({ text: REPAIRED_TEXT, stream: true });
+    assert.match(response.headers.get("content-type"), /^text\/event-stream/);
+
+    const progress = [];
+    const result = await readAnalysisStream(response, (event) => progress.push(event));
+    assert.deepEqual(result, { ...lastAnswer(fixtures.responses[REPAIRED_TEXT]), provider: "mock" });
+
+    const stages = progress.map((event) => `${event.stage}:${event.attempt}`);
+    assert.equal(stages[0], `${ANALYSIS_STAGES.WAITING}:0`);
+    assert.ok(stages.includes(`${ANALYSIS_STAGES.REPAIRING}:1`));
+    assert.equal(stages[stages.length - 1], `${ANALYSIS_STAGES.CHECKING}:1`);
+
+    // Values fill in as the corrected answer arrives
+    const partial = progress.filter((event) => event.attempt === 1 && event.parameters);
+    assert.ok(partial.length > 1);
+    assert.deepEqual(partial[partial.length - 1].parameters, lastAnswer(fixtures.responses[REPAIRED_TEXT]));
+  });
+});
+
+describe("batches", () => {
+  test("runs a text/plain upload line by line", async (t) => {
+    t.mock.method(console, "warn", () => {});
+    const texts = ["Hot humid afternoon, going for a long run in the park.", REPAIRED_TEXT];
+    const response = await route.post(texts.join("\n"), { query: "?concurrency=1" });
+
+    const events = [];
+    await readEventStream(response, (event, data) => events.push({ event, data }));
+    assert.deepEqual(events[0], { event: "start", data: { total: 2, concurrency: 1 } });
+    const items = events.filter(({ event }) => event === "item").map(({ data }) => data);
+    assert.deepEqual(items.map((item) => item.text), texts);
+    items.forEach((item) => {
+      assert.deepEqual(item.result, { ...lastAnswer(fixtures.responses[item.text]), provider: "mock" });
+    });
+    assert.deepEqual(events[events.length - 1], { event: "done", data: { total: 2, succeeded: 2, failed: 0, stopped: null } });
+  });
+});
+
+describe("bad requests", () => {
+  // The route logs every error it answers
+  beforeEach((t) => t.mock.method(console, "error", () => {}));
+
+  test("refuses a request without text", async () => {
+    const response = await route.post({ text: "  " });
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).code, "INVALID_REQUEST");
+  });
+
+  test("refuses other content types", async () => {
+    const response = await route.post("<text/>", { headers: { "Content-Type": "application/xml" } });
+    assert.equal(response.status, 415);
+    assert.equal((await response.json()).code, "UNSUPPORTED_MEDIA_TYPE");
+  });
+
+  test("refuses other methods", async () => {
+    const response = await fetch(route.url);
+    assert.equal(response.status, 405);
+  });
+});
@@ -0,0 +1,109 @@
+// Validation and repair in analyzeWithProvider, with a provider that plays
+// back a script of answers and records what it was asked.
+
+import { beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { analyzeWithProvider, extractPartialParameters } from "../lib/analyzer.js";
+import { PARAMETER_KEYS } from "../lib/garment-schema.js";
+import { createProvider } from "../lib/providers/index.js";
+
+const VALID = { Fit: 0.2, Mesh: 0.8, Thickness: 0.85, Airflow: 0.8, Support: 0.65 };
+const EXPLANATION = {
+  factors: { temperature: 2, wind: 0.7, humidity: 0.3, activity: 0.15, formality: 0.7, outdoors: 0.6 },
+  rationale: Object.fromEntries(PARAMETER_KEYS.map((key) => [key, `Reason for ${key}.`])),
+};
+
+function scriptedProvider(answers) {
+  const requests = [];
+  return {
+    id: "scripted",
+    model: "script",
+    kind: "chat",
+    requests,
+    async complete(messages) {
+      requests.push(messages.map((message) => ({ ...message })));
+      return answers[requests.length - 1];
+    },
+  };
+}
+
+// analyzeWithProvider logs each rejected answer
+beforeEach((t) => t.mock.method(console, "warn", () => {}));
+
+describe("analyzeWithProvider", () => {
+  test("returns a valid first answer without a re-ask", async () => {
+    const provider = scriptedProvider([JSON.stringify(VALID)]);
+    assert.deepEqual(await analyzeWithProvider(provider, "Cold morning"), VALID);
+    assert.equal(provider.requests.length, 1);
+  });
+
+  test("re-asks once with the validation errors", async () => {
+    const provider = scriptedProvider(["Sure! {Fit: 0.2}", JSON.stringify(VALID)]);
+    assert.deepEqual(await analyzeWithProvider(provider, "Cold morning"), VALID);
+
+    const repair = provider.requests[1];
+    assert.deepEqual(repair.slice(0, 3).map((message) => message.role), ["system", "user", "assistant"]);
+    assert.equal(repair[2].content, "Sure! {Fit: 0.2}");
+    assert.match(repair[3].content, /^Your previous response was invalid:\n- Response is not valid JSON/);
+    assert.match(repair[3].content, /Return the corrected JSON object only\.$/);
+  });
+
+  test("gives up with INVALID_MODEL_OUTPUT and the last errors when the repair is invalid too", async () => {
+    const provider = scriptedProvider([JSON.stringify({ ...VALID, Fit: 2 }), JSON.stringify({ ...VALID, Mesh: "fine" })]);
+    await assert.rejects(analyzeWithProvider(provider, "Cold morning"), {
+      code: "INVALID_MODEL_OUTPUT",
+      details: ['"Mesh" must be a number, got "fine".'],
+    });
+    assert.equal(provider.requests.length, 2);
+  });
+
+  test("asks for and returns the explanation in explain mode", async () => {
+    const provider = scriptedProvider([JSON.stringify({ ...VALID, ...EXPLANATION })]);
+    assert.deepEqual(await analyzeWithProvider(provider, "Cold morning", { explain: true }), { ...VALID, ...EXPLANATION });
+    assert.match(provider.requests[0][0].content, /"rationale"/);
+  });
+
+  test("repairs a bad explanation but keeps the values if the repair breaks them", async () => {
+    const withoutRationale = JSON.stringify({ ...VALID, factors: EXPLANATION.factors });
+    const provider = scriptedProvider([withoutRationale, JSON.stringify({ Fit: "tight" })]);
+    const result = await analyzeWithProvider(provider, "Cold morning", { explain: true });
+    assert.deepEqual(result, { ...VALID, factors: EXPLANATION.factors });
+    assert.match(provider.requests[1][3].content, /- Missing "rationale" object\./);
+  });
+
+  test("reports progress while a provider streams", async () => {
+    const answer = JSON.stringify(VALID);
+    const provider = {
+      ...scriptedProvider([answer]),
+      async stream(messages, onContent) {
+        for (let end = 1; end <= answer.length; end++) onContent(answer.slice(0, end));
+        return answer;
+      },
+    };
+    const progress = [];
+    await analyzeWithProvider(provider, "Cold morning", { onProgress: (event) => progress.push(event) });
+    const counts = progress.filter((event) => event.parameters).map((event) => Object.keys(event.parameters).length);
+    assert.deepEqual(counts, [1, 2, 3, 4, 5]);
+    assert.deepEqual(progress.map((event) => event.stage).slice(-2), ["checking", "checking"]);
+  });
+
+  test("skips the chat round-trip for rule-based providers", async () => {
+    const local = createProvider({ id: "local" });
+    const result = await analyzeWithProvider(local, "Freezing windy morning at the bus stop", { explain: true });
+    PARAMETER_KEYS.forEach((key) => assert.equal(typeof result[key], "number"));
+    assert.ok(result.factors && result.rationale);
+  });
+});
+
+describe("extractPartialParameters", () => {
+  test("reports a number only once something follows it", () => {
+    assert.deepEqual(extractPartialParameters('{"Fit": 0.2, "Mesh": 0.8'), { Fit: 0.2 });
+    assert.deepEqual(extractPartialParameters('{"Fit": 0.2, "Mesh": 0.8}'), { Fit: 0.2, Mesh: 0.8 });
+  });
+
+  test("clamps values and ignores rationale strings under the same keys", () => {
+    const content = '{"Fit": 1.4, "rationale": {"Mesh": "0.5 felt right", ';
+    assert.deepEqual(extractPartialParameters(content), { Fit: 1 });
+  });
+});
@@ -0,0 +1,36 @@
+// Serves a Next API route handler on a local port with the request and
+// response helpers the route uses from Next (req.query, res.status,
+// res.json), so tests can call it with fetch like the page does.
+
+import http from "node:http";
+
+export async function serveRoute(handler) {
+  const server = http.createServer((req, res) => {
+    req.query = Object.fromEntries(new URL(req.url, "http://localhost").searchParams);
+    res.status = (code) => {
+      res.statusCode = code;
+      return res;
+    };
+    res.json = (body) => {
+      res.setHeader("Content-Type", "application/json");
+      res.end(JSON.stringify(body));
+    };
+    handler(req, res);
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  const url = `http://127.0.0.1:${server.address().port}/`;
+  return {
+    url,
+    // POST `body` as JSON (or as is, when it is a string) and return the response
+    post(body, { headers = {}, query = "" } = {}) {
+      const isText = typeof body === "string";
+      return fetch(`${url}${query}`, {
+        method: "POST",
+        headers: { "Content-Type": isText ? "text/plain" : "application/json", ...headers },
+        body: isText ? body : JSON.stringify(body),
+      });
+    },
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
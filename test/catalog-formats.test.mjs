@@ -0,0 +1,100 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { IMPORT_PROVIDER_ID, detectFormat, exportCatalog, parseCatalog, parseCsv, planImport } from "../lib/catalog/formats.js";
+
+const entry = (id, text, parameters, extra = {}) => ({
+  id,
+  text,
+  parameters: { Fit: 0.5, Mesh: 0.5, Thickness: 0.5, Airflow: 0.5, Support: 0.5, ...parameters },
+  provider: "openai",
+  createdAt: "2024-03-01T09:30:00.000Z",
+  seed: 42,
+  ...extra,
+});
+
+const ENTRIES = [
+  entry("a", "Rainy commute, then a long day at the office", { Fit: 0.3 }, {
+    factors: { temperature: 9, wind: 0.4, humidity: 0.8, activity: 0.3, formality: 0.6, outdoors: 0.4 },
+    overrides: { Mesh: 0.9 },
+  }),
+  entry("b", 'Picnic, "weather permitting"', { Airflow: 0.1 }),
+];
+
+describe("planImport", () => {
+  const existing = [ENTRIES[0]];
+
+  test("marks rows that are already in the catalog by id", () => {
+    const [row] = planImport([{ ...ENTRIES[0], text: "Renamed" }], existing);
+    assert.deepEqual([row.status, row.duplicateOf], ["duplicate", "a"]);
+  });
+
+  test("marks rows with the same text and values as an existing entry", () => {
+    const copy = { ...ENTRIES[0], id: "a2", text: "  rainy COMMUTE, then a long day at the office " };
+    const [row] = planImport([copy], existing);
+    assert.deepEqual([row.status, row.duplicateOf], ["duplicate", "a"]);
+  });
+
+  test("keeps the same text with different values as new", () => {
+    const variant = { ...ENTRIES[0], id: "a3", parameters: { ...ENTRIES[0].parameters, Fit: 0.31 } };
+    assert.equal(planImport([variant], existing)[0].status, "new");
+  });
+
+  test("finds duplicates within the file itself", () => {
+    const rows = planImport([ENTRIES[1], { ...ENTRIES[1], id: "b2" }, ENTRIES[1]], existing);
+    assert.deepEqual(rows.map((row) => [row.status, row.duplicateOf]), [["new", null], ["duplicate", "b"], ["duplicate", "b"]]);
+  });
+});
+
+describe("round trips", () => {
+  ["json", "jsonl", "csv"].forEach((format) => {
+    test(`${format} exports and imports the same entries`, () => {
+      const { entries, invalid } = parseCatalog(exportCatalog(ENTRIES, format), format);
+      assert.deepEqual(invalid, []);
+      assert.deepEqual(entries, ENTRIES);
+    });
+  });
+});
+
+describe("parseCatalog", () => {
+  test("imports a hand-made sheet with loose headers", () => {
+    const csv = "\uFEFFDescription,fit,MESH,Thickness,airflow,support\nWarm walk,0.7,0.2,0.1,0.2,0.3\n";
+    const { entries, invalid } = parseCatalog(csv, "csv");
+    assert.deepEqual(invalid, []);
+    assert.equal(entries[0].text, "Warm walk");
+    assert.equal(entries[0].provider, IMPORT_PROVIDER_ID);
+    assert.deepEqual(entries[0].parameters, { Fit: 0.7, Mesh: 0.2, Thickness: 0.1, Airflow: 0.2, Support: 0.3 });
+    assert.equal(typeof entries[0].seed, "number");
+  });
+
+  test("reports invalid rows by number and keeps the rest", () => {
+    const jsonl = [
+      JSON.stringify(ENTRIES[1]),
+      "",
+      "{not json",
+      JSON.stringify({ ...ENTRIES[1], parameters: { ...ENTRIES[1].parameters, Fit: "loose" } }),
+    ].join("\n");
+    const { entries, invalid } = parseCatalog(jsonl, "jsonl");
+    assert.equal(entries.length, 1);
+    assert.deepEqual(invalid.map((row) => row.row), [3, 4]);
+    assert.match(invalid[0].errors[0], /^Line is not valid JSON/);
+    assert.deepEqual(invalid[1].errors, ['"Fit" must be a number, got "loose".']);
+  });
+
+  test("needs a text column in CSV", () => {
+    assert.throws(() => parseCatalog("fit,mesh\n0.1,0.2\n", "csv"), /needs a "text"/);
+  });
+});
+
+test("parseCsv handles quotes, embedded newlines and blank lines", () => {
+  assert.deepEqual(parseCsv('a,"b, ""c""",d\r\n\r\n"multi\nline",,\n'), [["a", 'b, "c"', "d"], ["multi\nline", "", ""]]);
+});
+
+test("detectFormat goes by extension, then by content", () => {
+  assert.equal(detectFormat("catalog.CSV"), "csv");
+  assert.equal(detectFormat("catalog.ndjson"), "jsonl");
+  assert.equal(detectFormat("paste", '[{"text":"a"}]'), "json");
+  assert.equal(detectFormat("paste", '{"entries":[]}'), "json");
+  assert.equal(detectFormat("paste", '{"text":"a"}\n{"text":"b"}'), "jsonl");
+  assert.equal(detectFormat("paste", "text,fit\n"), "csv");
+});
@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { STREAM_CHUNK_SIZE, createFixtureReplay, streamPieces } from "../lib/providers/fixture-replay.mjs";
+import { createProvider } from "../lib/providers/index.js";
+
+const FIXTURES = {
+  responses: { "Cycling to work in the rain.": ["first", "second"] },
+  default: ["fallback"],
+};
+
+const ask = (text, reAsks = 0) => [
+  { role: "system", content: "prompt" },
+  { role: "user", content: text },
+  ...Array.from({ length: reAsks }, () => [
+    { role: "assistant", content: "…" },
+    { role: "user", content: "Your previous response was invalid" },
+  ]).flat(),
+];
+
+test("replays answers in call order and repeats the last", () => {
+  const answerFor = createFixtureReplay(FIXTURES);
+  assert.equal(answerFor(ask("Cycling to work in the rain.")), "first");
+  assert.equal(answerFor(ask("  cycling TO work in the   rain. ", 1)), "second");
+  assert.equal(answerFor(ask("Cycling to work in the rain.", 2)), "second");
+});
+
+test("falls back to the default, or to null without one", () => {
+  assert.equal(createFixtureReplay(FIXTURES)(ask("Anything else")), "fallback");
+  assert.equal(createFixtureReplay({ responses: {} })(ask("Anything else")), null);
+});
+
+test("streams an answer in fixed-size pieces", () => {
+  const content = "x".repeat(STREAM_CHUNK_SIZE * 2 + 3);
+  const pieces = streamPieces(content);
+  assert.deepEqual(pieces.map((piece) => piece.length), [STREAM_CHUNK_SIZE, STREAM_CHUNK_SIZE, 3]);
+  assert.equal(pieces.join(""), content);
+});
+
+test("the mock provider streams the answer so far and fails without an answer", async () => {
+  const answer = "y".repeat(STREAM_CHUNK_SIZE + 5);
+  const provider = createProvider({ id: "mock", fixtures: { responses: { a: [answer] } } });
+  const received = [];
+  assert.equal(await provider.stream(ask("a"), (content) => received.push(content)), answer);
+  assert.deepEqual(received, [answer.slice(0, STREAM_CHUNK_SIZE), answer]);
+  await assert.rejects(provider.complete(ask("b")), /No recorded response/);
+});
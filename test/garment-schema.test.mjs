@@ -0,0 +1,114 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  DEFAULT_PARAMETER_VALUE,
+  EXPLANATION_KEYS,
+  PARAMETER_KEYS,
+  buildSystemPrompt,
+  normalizeParameters,
+  validateExplanation,
+  validateParameters,
+} from "../lib/garment-schema.js";
+
+const VALID = { Fit: 0.2, Mesh: 0.8, Thickness: 0.85, Airflow: 0.8, Support: 0.65 };
+
+describe("validateParameters", () => {
+  test("accepts the five parameters in range", () => {
+    assert.deepEqual(validateParameters(VALID), []);
+    assert.deepEqual(validateParameters({ ...VALID, Fit: 0, Support: 1 }), []);
+  });
+
+  test("only accepts a JSON object", () => {
+    [null, 0.5, "text", [VALID]].forEach((raw) => {
+      assert.deepEqual(validateParameters(raw), ["Response must be a JSON object."]);
+    });
+  });
+
+  test("names misspelled, unexpected and missing keys", () => {
+    const { Fit, Support, ...rest } = VALID;
+    assert.deepEqual(validateParameters({ ...rest, " fit": Fit, colour: "red" }), [
+      'Key " fit" must be spelled exactly "Fit".',
+      'Unexpected key "colour".',
+      'Missing key "Support".',
+    ]);
+  });
+
+  test("rejects values that are not numbers or out of range", () => {
+    assert.deepEqual(validateParameters({ ...VALID, Mesh: "0.5", Thickness: null, Airflow: -0.1, Support: NaN }), [
+      '"Mesh" must be a number, got "0.5".',
+      '"Thickness" must be a number, got null.',
+      '"Airflow" must be between 0 and 1, got -0.1.',
+      '"Support" must be a number, got null.',
+    ]);
+  });
+
+  test("allows the explanation keys only when asked to", () => {
+    const explained = { ...VALID, factors: {}, rationale: {} };
+    assert.deepEqual(validateParameters(explained), ['Unexpected key "factors".', 'Unexpected key "rationale".']);
+    assert.deepEqual(validateParameters(explained, { allowedExtraKeys: EXPLANATION_KEYS }), []);
+  });
+});
+
+describe("normalizeParameters", () => {
+  test("clamps values into range", () => {
+    const { values, missing } = normalizeParameters({ ...VALID, Fit: -2, Airflow: 1.3 });
+    assert.deepEqual(values, { ...VALID, Fit: 0, Airflow: 1 });
+    assert.deepEqual(missing, []);
+  });
+
+  test("fills missing and non-numeric values with the default and reports them", () => {
+    const { values, missing } = normalizeParameters({ Fit: 0.3, Mesh: "fine", Thickness: Infinity });
+    assert.deepEqual(values, {
+      Fit: 0.3,
+      Mesh: DEFAULT_PARAMETER_VALUE,
+      Thickness: DEFAULT_PARAMETER_VALUE,
+      Airflow: DEFAULT_PARAMETER_VALUE,
+      Support: DEFAULT_PARAMETER_VALUE,
+    });
+    assert.deepEqual(missing, ["Mesh", "Thickness", "Airflow", "Support"]);
+    assert.deepEqual(normalizeParameters(null).missing, PARAMETER_KEYS);
+  });
+});
+
+describe("validateExplanation", () => {
+  const factors = { temperature: -4, wind: 0.7, humidity: 0.2, activity: 0.15, formality: 0.8, outdoors: 0.5 };
+  const rationale = Object.fromEntries(PARAMETER_KEYS.map((key) => [key, ` Because of the ${key}. `]));
+
+  test("keeps valid factors and trimmed rationale sentences", () => {
+    const result = validateExplanation({ factors, rationale });
+    assert.deepEqual(result.errors, []);
+    assert.deepEqual(result.factors, factors);
+    assert.equal(result.rationale.Fit, "Because of the Fit.");
+  });
+
+  test("keeps the valid parts and lists the rest", () => {
+    const result = validateExplanation({
+      factors: { ...factors, wind: 1.5, outdoors: "often" },
+      rationale: { ...rationale, Mesh: "  " },
+    });
+    assert.deepEqual(result.errors, [
+      '"factors.wind" must be between 0 and 1, got 1.5.',
+      '"factors.outdoors" must be a number.',
+      '"rationale.Mesh" must be a non-empty string.',
+    ]);
+    assert.equal(result.factors.temperature, -4);
+    assert.equal("wind" in result.factors, false);
+    assert.equal("Mesh" in result.rationale, false);
+  });
+
+  test("reports missing blocks", () => {
+    assert.deepEqual(validateExplanation(VALID).errors, ['Missing "factors" object.', 'Missing "rationale" object.']);
+  });
+});
+
+test("the system prompt asks for every parameter, and for the explanation only in explain mode", () => {
+  const plain = buildSystemPrompt();
+  const explained = buildSystemPrompt({ explain: true });
+  PARAMETER_KEYS.forEach((key) => {
+    assert.ok(plain.includes(`"${key}": float`));
+    assert.ok(explained.includes(`"${key}": float`));
+  });
+  assert.equal(plain.includes('"factors"'), false);
+  assert.ok(explained.includes('"factors"') && explained.includes('"rationale"'));
+});
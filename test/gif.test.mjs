@@ -0,0 +1,154 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { buildPalette, createGifEncoder } from "../lib/gif.js";
+
+const PALETTE = [[255, 255, 255], [0, 0, 0], [200, 40, 40], [40, 40, 200]];
+
+// RGBA bytes for a width × height frame of palette colours chosen by `pick`
+function frame(width, height, pick) {
+  const data = new Uint8Array(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    data.set([...PALETTE[pick(i)], 255], i * 4);
+  }
+  return data;
+}
+
+// Just enough of a GIF decoder to read back what createGifEncoder writes:
+// the screen size, the loop extension and each frame's delay and palette indices
+function decodeGif(bytes) {
+  let offset = 0;
+  const u16 = () => {
+    const value = bytes[offset] | (bytes[offset + 1] << 8);
+    offset += 2;
+    return value;
+  };
+  const subBlocks = () => {
+    const data = [];
+    for (let size = bytes[offset++]; size > 0; size = bytes[offset++]) {
+      data.push(...bytes.subarray(offset, offset + size));
+      offset += size;
+    }
+    return data;
+  };
+
+  const signature = String.fromCharCode(...bytes.subarray(0, 6));
+  offset = 6;
+  const width = u16();
+  const height = u16();
+  const packed = bytes[offset];
+  offset += 3 + 3 * (2 << (packed & 7));
+
+  const gif = { signature, width, height, loops: false, frames: [] };
+  let delay = 0;
+  for (;;) {
+    const introducer = bytes[offset++];
+    if (introducer === 0x3b) return gif;
+    if (introducer === 0x21) {
+      const label = bytes[offset++];
+      const data = subBlocks();
+      if (label === 0xf9) delay = data[1] | (data[2] << 8);
+      if (label === 0xff) gif.loops = String.fromCharCode(...data.slice(0, 11)) === "NETSCAPE2.0";
+    } else if (introducer === 0x2c) {
+      offset += 8;
+      assert.equal(bytes[offset++], 0, "no local colour table");
+      const minCodeSize = bytes[offset++];
+      gif.frames.push({ delay, indices: lzwDecode(subBlocks(), minCodeSize, width * height) });
+    } else {
+      throw new Error(`Unexpected block 0x${introducer.toString(16)} at ${offset - 1}`);
+    }
+  }
+}
+
+function lzwDecode(data, minCodeSize, pixelCount) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const output = [];
+  let codeSize;
+  let table;
+  let previous = null;
+  const reset = () => {
+    codeSize = minCodeSize + 1;
+    table = Array.from({ length: endCode + 1 }, (_, i) => [i]);
+    previous = null;
+  };
+  reset();
+
+  let bitBuffer = 0;
+  let bitCount = 0;
+  let position = 0;
+  while (output.length < pixelCount) {
+    while (bitCount < codeSize) {
+      bitBuffer |= data[position++] << bitCount;
+      bitCount += 8;
+    }
+    const code = bitBuffer & ((1 << codeSize) - 1);
+    bitBuffer >>>= codeSize;
+    bitCount -= codeSize;
+
+    if (code === clearCode) {
+      reset();
+      continue;
+    }
+    if (code === endCode) break;
+    const entry = code < table.length ? table[code] : [...previous, previous[0]];
+    output.push(...entry);
+    if (previous) table.push([...previous, entry[0]]);
+    previous = entry;
+    if (table.length === 1 << codeSize && codeSize < 12) codeSize++;
+  }
+  return output;
+}
+
+describe("buildPalette", () => {
+  test("lists the most common colours first", () => {
+    const image = frame(30, 10, (i) => (i < 200 ? 2 : i < 290 ? 0 : 3));
+    assert.deepEqual(buildPalette([image]), [PALETTE[2], PALETTE[0], PALETTE[3]]);
+    assert.deepEqual(buildPalette([image], 2), [PALETTE[2], PALETTE[0]]);
+  });
+
+  test("averages colours that share a bucket", () => {
+    const image = new Uint8Array([8, 8, 8, 255, 0, 0, 0, 255, 0, 0, 0, 255, 15, 15, 15, 255]);
+    // Every third pixel is sampled: the first and the last
+    assert.deepEqual(buildPalette([image]), [[12, 12, 12]]);
+  });
+});
+
+describe("createGifEncoder", () => {
+  const decode = async (blob) => decodeGif(new Uint8Array(await blob.arrayBuffer()));
+
+  test("writes a looping GIF89a whose frames decode to the nearest palette colours", async () => {
+    const width = 7;
+    const height = 5;
+    const encoder = createGifEncoder({ width, height, palette: PALETTE });
+    const stripes = (i) => (i % width) % PALETTE.length;
+    const checks = (i) => ((i % width) + Math.floor(i / width)) % 2;
+    encoder.addFrame(frame(width, height, stripes), 4);
+    // A slightly off colour maps to its nearest palette entry
+    const off = frame(width, height, checks).map((value, i) => (i % 4 === 0 && value === 255 ? 250 : value));
+    encoder.addFrame(off, 6.4);
+    const blob = encoder.finish();
+    assert.equal(blob.type, "image/gif");
+
+    const gif = await decode(blob);
+    assert.equal(gif.signature, "GIF89a");
+    assert.deepEqual([gif.width, gif.height, gif.loops], [width, height, true]);
+    assert.deepEqual(gif.frames.map((f) => f.delay), [4, 6]);
+    assert.deepEqual(gif.frames[0].indices, Array.from({ length: width * height }, (_, i) => stripes(i)));
+    assert.deepEqual(gif.frames[1].indices, Array.from({ length: width * height }, (_, i) => checks(i)));
+  });
+
+  test("survives the code table filling up on a noisy frame", async () => {
+    const width = 256;
+    const height = 192;
+    let state = 7;
+    const noise = Array.from({ length: width * height }, () => {
+      state = (state * 1103515245 + 12345) & 0x7fffffff;
+      return state % PALETTE.length;
+    });
+    const encoder = createGifEncoder({ width, height, palette: PALETTE });
+    encoder.addFrame(frame(width, height, (i) => noise[i]), 10);
+    const gif = await decode(encoder.finish());
+    assert.deepEqual(gif.frames[0].indices, noise);
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { analyzeTextLocally, extractSituationFactors } from "../lib/local-analyzer.js";
+import { PARAMETER_KEYS, validateExplanation, validateParameters } from "../lib/garment-schema.js";
+
+const COLD = "Freezing windy morning, waiting at the bus stop for 40 minutes before an office meeting with a client.";
+const HOT = "Hot humid afternoon, going for a long run in the park.";
+
+const temperatureOf = (text) => Math.round(extractSituationFactors(text).temperature.value * 10) / 10;
+
+describe("extractSituationFactors", () => {
+  test("scores factors from keywords and keeps the words as cues", () => {
+    const factors = extractSituationFactors(COLD);
+    assert.equal(factors.temperature.value, -5);
+    assert.deepEqual(factors.temperature.cues, ["freezing"]);
+    assert.deepEqual(factors.wind.cues, ["windy"]);
+    assert.ok(factors.outdoors.cues.includes("bus stop"));
+  });
+
+  test("falls back to the baseline when the text says nothing", () => {
+    const factors = extractSituationFactors("");
+    assert.equal(factors.temperature.value, 18);
+    Object.values(factors).forEach((factor) => assert.deepEqual(factor.cues, []));
+  });
+
+  test("ignores a keyword right after a negation", () => {
+    assert.equal(temperatureOf("not cold at all"), 18);
+    assert.equal(temperatureOf("cold at all"), 4);
+  });
+
+  test("reads explicit temperatures in either unit", () => {
+    assert.equal(temperatureOf("It is 30°C today"), 30);
+    assert.equal(temperatureOf("85 degrees F and sunny"), 29.4);
+    assert.equal(temperatureOf("-5 celsius at the station"), -5);
+    // Bare degrees above 45 are taken as Fahrenheit
+    assert.equal(temperatureOf("a 50 degree afternoon"), 10);
+    // The reading wins over keywords
+    assert.equal(temperatureOf("freezing, about 2°C"), 2);
+  });
+
+  test("reads a range by its upper end, not as a negative reading", () => {
+    assert.equal(temperatureOf("70-80°F"), 26.7);
+  });
+
+  test("needs a degree sign or word before a one-letter unit", () => {
+    assert.equal(temperatureOf("Room 4 C, then lab 12 F"), 18);
+  });
+});
+
+describe("analyzeTextLocally", () => {
+  test("returns five valid parameters, rounded to two places", () => {
+    const values = analyzeTextLocally(COLD);
+    assert.deepEqual(Object.keys(values), PARAMETER_KEYS);
+    assert.deepEqual(validateParameters(values), []);
+    Object.values(values).forEach((value) => assert.equal(value, Math.round(value * 100) / 100));
+  });
+
+  test("follows the orientations in the system prompt", () => {
+    const cold = analyzeTextLocally(COLD);
+    const hot = analyzeTextLocally(HOT);
+    assert.ok(cold.Fit < hot.Fit, "cold is closer");
+    assert.ok(cold.Mesh > hot.Mesh, "cold is finer");
+    assert.ok(cold.Thickness > hot.Thickness, "cold is thicker");
+    assert.ok(cold.Airflow > hot.Airflow, "heat and running are more breathable");
+  });
+
+  test("is deterministic", () => {
+    assert.deepEqual(analyzeTextLocally(HOT, { explain: true }), analyzeTextLocally(HOT, { explain: true }));
+  });
+
+  test("explains itself in the shape the model uses", () => {
+    const result = analyzeTextLocally(HOT, { explain: true });
+    assert.deepEqual(validateExplanation(result).errors, []);
+    assert.equal(result.factors.temperature, 31);
+    assert.match(result.rationale.Fit, /^Pushed toward loose by physical activity \(run\)/);
+    assert.equal("factors" in analyzeTextLocally(HOT), false);
+  });
+});
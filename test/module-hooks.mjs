@@ -0,0 +1,41 @@
+// Module resolution and loading hooks for the tests (see register.mjs).
+// Only the repository's own files are touched; packages load as usual.
+
+import { readFile } from "node:fs/promises";
+
+const ROOT = new URL("../", import.meta.url).href;
+
+const isOwnFile = (url) => url.startsWith(ROOT) && !url.includes("/node_modules/");
+
+// "./garment-schema" → "./garment-schema.js", "./providers" → "./providers/index.js"
+export async function resolve(specifier, context, nextResolve) {
+  try {
+    return await nextResolve(specifier, context);
+  } catch (err) {
+    const relative = specifier.startsWith("./") || specifier.startsWith("../");
+    if (!relative || !context.parentURL || !isOwnFile(context.parentURL)) throw err;
+    for (const suffix of [".js", "/index.js"]) {
+      try {
+        return await nextResolve(`${specifier}${suffix}`, context);
+      } catch {
+        // try the next suffix
+      }
+    }
+    throw err;
+  }
+}
+
+// The app's .js files are ES modules, and its JSON is a default export
+export async function load(url, context, nextLoad) {
+  if (!isOwnFile(url)) return nextLoad(url, context);
+
+  if (url.endsWith(".js")) {
+    return nextLoad(url, { ...context, format: "module" });
+  }
+  if (url.endsWith(".json")) {
+    const source = await readFile(new URL(url), "utf8");
+    return { format: "module", source: `export default ${source};`, shortCircuit: true };
+  }
+  return nextLoad(url, context);
+}
+
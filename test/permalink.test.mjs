@@ -0,0 +1,71 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+
+import { decodePermalink, encodePermalink, permalinkUrl } from "../lib/permalink.js";
+
+const STATE = {
+  text: "Rainy commute & a café, 100% wet",
+  parameters: { Fit: 0.3, Mesh: 0.62, Thickness: 0.55, Airflow: 0.4, Support: 0.8 },
+  seed: 1234,
+  view: { rotationX: 0.123456, rotationY: -0.4, zoom: 1.2, panX: 0, panY: 0.05 },
+  mappingProfile: "minimal",
+};
+
+describe("encodePermalink", () => {
+  test("writes a readable hash", () => {
+    assert.equal(
+      encodePermalink(STATE),
+      "text=Rainy%20commute%20%26%20a%20caf%C3%A9%2C%20100%25%20wet&p=0.3,0.62,0.55,0.4,0.8&seed=1234" +
+        "&view=0.1235,-0.4,1.2,0,0.05&profile=minimal"
+    );
+  });
+
+  test("leaves out what is optional or default", () => {
+    const hash = encodePermalink({ text: "Calm", parameters: STATE.parameters, mappingProfile: "default" });
+    assert.equal(hash, "text=Calm&p=0.3,0.62,0.55,0.4,0.8");
+  });
+
+  test("builds the full URL on the current page", () => {
+    const location = { origin: "https://example.org", pathname: "/app/", search: "?x=1" };
+    assert.match(permalinkUrl(location, STATE), /^https:\/\/example\.org\/app\/\?x=1#text=Rainy/);
+  });
+});
+
+describe("decodePermalink", () => {
+  test("restores what was encoded", () => {
+    const { state, errors } = decodePermalink(`#${encodePermalink(STATE)}`);
+    assert.deepEqual(errors, []);
+    assert.deepEqual(state, { ...STATE, view: { ...STATE.view, rotationX: 0.1235 } });
+  });
+
+  test("fills in the defaults, including pan for links made before it existed", () => {
+    const { state } = decodePermalink("#p=0.3,0.62,0.55,0.4,0.8&view=0.1,0.2,2");
+    assert.deepEqual(state, {
+      text: "",
+      parameters: STATE.parameters,
+      seed: undefined,
+      view: { rotationX: 0.1, rotationY: 0.2, zoom: 2, panX: 0, panY: 0 },
+      mappingProfile: "default",
+    });
+  });
+
+  test("ignores hashes that hold no permalink", () => {
+    assert.deepEqual(decodePermalink(""), { state: null, errors: [] });
+    assert.deepEqual(decodePermalink("#section-2"), { state: null, errors: [] });
+  });
+
+  test("lists everything wrong with a damaged link", () => {
+    const { state, errors } = decodePermalink("#p=0.3,1.5,,0.4,0.8&seed=-1&view=0,0,0&profile=neon");
+    assert.equal(state, null);
+    assert.equal(errors.length, 5);
+    assert.deepEqual(errors.slice(0, 2), ['"Mesh" must be between 0 and 1, got 1.5.', '"Thickness" must be a number, got null.']);
+    assert.match(errors[2], /seed/i);
+    assert.match(errors[3], /^"view" must be/);
+    assert.equal(errors[4], 'Unknown mapping profile "neon".');
+  });
+
+  test("needs all five values", () => {
+    const { errors } = decodePermalink("#p=0.3,0.62");
+    assert.deepEqual(errors, ['"p" must list 5 values (Fit, Mesh, Thickness, Airflow, Support).']);
+  });
+});
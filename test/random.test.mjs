@@ -0,0 +1,36 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { MAX_SEED, createRandom, hashString, seedFromValues } from "../lib/random.js";
+
+test("hashString is 32-bit FNV-1a", () => {
+  assert.equal(hashString(""), 0x811c9dc5);
+  assert.equal(hashString("a"), 0xe40c292c);
+  assert.equal(hashString("foobar"), 0xbf9cf968);
+});
+
+test("seedFromValues depends on the text and every value, in parameter order", () => {
+  const values = { Fit: 0.3, Mesh: 0.62, Thickness: 0.55, Airflow: 0.4, Support: 0.8 };
+  const seed = seedFromValues("Rainy commute", values);
+  assert.ok(Number.isInteger(seed) && seed >= 0 && seed <= MAX_SEED);
+  assert.equal(seedFromValues("Rainy commute", { Support: 0.8, Airflow: 0.4, Thickness: 0.55, Mesh: 0.62, Fit: 0.3 }), seed);
+  assert.notEqual(seedFromValues("Rainy commute", { ...values, Support: 0.81 }), seed);
+  assert.notEqual(seedFromValues("Rainy commute.", values), seed);
+});
+
+test("createRandom repeats its sequence for a seed and stays in [0, 1)", () => {
+  const draw = (seed) => {
+    const random = createRandom(seed);
+    return Array.from({ length: 1000 }, () => random());
+  };
+  const first = draw(42);
+  assert.deepEqual(draw(42), first);
+  assert.notDeepEqual(draw(43), first);
+  assert.ok(first.every((value) => value >= 0 && value < 1));
+
+  // Spread evenly enough for picking cube corners
+  const mean = first.reduce((sum, value) => sum + value, 0) / first.length;
+  assert.ok(Math.abs(mean - 0.5) < 0.05);
+  // Seeds wrap to 32 bits
+  assert.deepEqual(draw(MAX_SEED + 1 + 42), first);
+});
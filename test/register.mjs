@@ -0,0 +1,9 @@
+// Loaded with `node --import` before the tests (see the test script in
+// package.json). The app's modules are ES modules that Next compiles: .js
+// files with no "type" in package.json, relative imports without a file
+// extension and JSON imported as a default export. The hooks in
+// module-hooks.mjs let plain Node load them the same way.
+
+import { register } from "node:module";
+
+register("./module-hooks.mjs", import.meta.url);
@@ -0,0 +1,137 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { Readable } from "node:stream";
+
+import {
+  checkTextLength,
+  clientIdentity,
+  consumeRateLimit,
+  createRateLimiter,
+  readRequestBody,
+  requestLimitsFromEnv,
+} from "../lib/request-limits.js";
+
+// A request stream with headers, as Node hands it to a route
+function request(body, headers = {}) {
+  const req = Readable.from(body === undefined ? [] : [Buffer.from(body)]);
+  req.headers = headers;
+  req.socket = { remoteAddress: "10.0.0.1" };
+  return req;
+}
+
+describe("requestLimitsFromEnv", () => {
+  test("uses the defaults for unset or unreadable values", () => {
+    const limits = requestLimitsFromEnv({ ANALYZER_RATE_PER_MINUTE: "lots", ANALYZER_MAX_BODY_SIZE: "-5" });
+    assert.equal(limits.ratePerMinute, 10);
+    assert.equal(limits.burst, 10);
+    assert.equal(limits.maxTextLength, 2000);
+    assert.equal(limits.maxBodySize, 256 * 1024);
+    assert.deepEqual(limits.clientKeys, []);
+    assert.equal(limits.trustProxy, false);
+    assert.equal(limits.catalogWritesPerMinute, 60);
+  });
+
+  test("reads keys, proxy trust and zero limits", () => {
+    const limits = requestLimitsFromEnv({
+      ANALYZER_RATE_PER_MINUTE: "0",
+      ANALYZER_RATE_BURST: "0",
+      ANALYZER_CLIENT_KEYS: " alpha, ,beta ",
+      VERCEL: "1",
+    });
+    assert.equal(limits.ratePerMinute, 0);
+    assert.equal(limits.burst, 1);
+    assert.deepEqual(limits.clientKeys, ["alpha", "beta"]);
+    assert.equal(limits.trustProxy, true);
+  });
+});
+
+describe("rate limiting", () => {
+  test("allows a burst, then refills at the per-minute rate", () => {
+    let now = 0;
+    const limiter = createRateLimiter({ ratePerMinute: 6, burst: 2, now: () => now });
+    assert.equal(limiter.take("a").allowed, true);
+    assert.equal(limiter.take("a").allowed, true);
+    assert.deepEqual(limiter.take("a"), { allowed: false, remaining: 0, retryAfter: 10 });
+    // Other clients have buckets of their own
+    assert.equal(limiter.take("b").allowed, true);
+
+    now = 10_000;
+    assert.equal(limiter.take("a").allowed, true);
+    assert.equal(limiter.take("a").allowed, false);
+  });
+
+  test("throws RATE_LIMITED naming what was limited", () => {
+    const limiter = createRateLimiter({ ratePerMinute: 60, burst: 1, now: () => 0 });
+    consumeRateLimit(limiter, "a", "catalog changes");
+    assert.throws(() => consumeRateLimit(limiter, "a", "catalog changes"), {
+      code: "RATE_LIMITED",
+      message: "Too many catalog changes in a short time. Try again in 1 second.",
+      details: { retryAfter: 1 },
+    });
+  });
+
+  test("does nothing when limiting is off", () => {
+    assert.doesNotThrow(() => consumeRateLimit(null, "a"));
+  });
+});
+
+describe("clientIdentity", () => {
+  const limits = { clientKeys: ["alpha"], trustProxy: false };
+
+  test("names a client by its key, from either header", () => {
+    assert.equal(clientIdentity(request("", { authorization: "Bearer alpha" }), limits), "key:alpha");
+    assert.equal(clientIdentity(request("", { "x-api-key": "alpha" }), limits), "key:alpha");
+  });
+
+  test("refuses unknown keys, and requests without one when a key is required", () => {
+    assert.throws(() => clientIdentity(request("", { "x-api-key": "gamma" }), limits), { code: "UNAUTHORIZED" });
+    assert.throws(() => clientIdentity(request(""), limits, { requireKey: true }), { code: "UNAUTHORIZED" });
+    assert.equal(clientIdentity(request(""), { clientKeys: [], trustProxy: false }, { requireKey: true }), "ip:10.0.0.1");
+  });
+
+  test("falls back to the address, forwarded only behind a trusted proxy", () => {
+    const req = request("", { "x-forwarded-for": "203.0.113.5, 10.0.0.2" });
+    assert.equal(clientIdentity(req, limits), "ip:10.0.0.1");
+    assert.equal(clientIdentity(req, { ...limits, trustProxy: true }), "ip:203.0.113.5");
+  });
+});
+
+describe("readRequestBody", () => {
+  const limits = { maxBodySize: 32 };
+
+  test("parses JSON and passes text through", async () => {
+    assert.deepEqual(await readRequestBody(request('{"text":"hi"}', { "content-type": "application/json; charset=utf-8" }), limits), { text: "hi" });
+    assert.deepEqual(await readRequestBody(request(undefined, { "content-type": "application/json" }), limits), {});
+    assert.equal(await readRequestBody(request("a\nb", { "content-type": "text/csv" }), limits), "a\nb");
+  });
+
+  test("refuses other content types", async () => {
+    await assert.rejects(readRequestBody(request("<a/>", { "content-type": "application/xml" }), limits), {
+      code: "UNSUPPORTED_MEDIA_TYPE",
+      details: { contentType: "application/xml" },
+    });
+  });
+
+  test("refuses bodies over the limit, declared or not", async () => {
+    const big = "x".repeat(40);
+    await assert.rejects(readRequestBody(request(big, { "content-type": "text/plain", "content-length": "40" }), limits), {
+      code: "REQUEST_TOO_LARGE",
+      message: "The request is larger than the 32 byte limit.",
+    });
+    await assert.rejects(readRequestBody(request(big, { "content-type": "text/plain" }), limits), { code: "REQUEST_TOO_LARGE" });
+  });
+
+  test("refuses malformed JSON", async () => {
+    await assert.rejects(readRequestBody(request("{text", { "content-type": "application/json" }), limits), { code: "INVALID_REQUEST" });
+  });
+});
+
+test("checkTextLength names the first description over the limit", () => {
+  assert.doesNotThrow(() => checkTextLength(["abc", "de"], { maxTextLength: 3 }));
+  assert.throws(() => checkTextLength(["abc", "defg", "hijkl"], { maxTextLength: 3 }), {
+    code: "TEXT_TOO_LONG",
+    message: "Description 2 is 4 characters long; the limit is 3.",
+    details: { index: 1, length: 4, maxTextLength: 3 },
+  });
+  assert.throws(() => checkTextLength(["defg"], { maxTextLength: 3 }), /^AnalysisError: The description is 4/);
+});